@@ -0,0 +1,180 @@
+// ============ Offline airport database ============
+// Major airports worldwide, used to name the origin and destination of each leg and to infer
+// the departure/arrival runway. Compiled from public AIP data; coordinates are the airport
+// reference point, elevations in feet, time zones are IANA names (for Intl.DateTimeFormat).
+// Runways are "DESIGNATOR/DESIGNATOR:HDG", HDG being the true heading (°) of the first end;
+// parallel runways share a heading. Loaded as a plain script before sketch2.js.
+// ==================================================
+
+const AIRPORTS = [
+    // ICAO,  IATA,  name,                       lat,       lon,       elev, time zone,                        runways
+    // --- Europe ---
+    ['LSZH', 'ZRH', 'Zurich',                    47.4647,    8.5492,  1416, 'Europe/Zurich',                  '10/28:105 14/32:137 16/34:154'],
+    ['LSGG', 'GVA', 'Geneva',                    46.2381,    6.1090,  1411, 'Europe/Zurich',                  '04/22:45'],
+    ['LFSB', 'BSL', 'Basel-Mulhouse',            47.5896,    7.5299,   885, 'Europe/Paris',                   '15/33:154'],
+    ['LIPE', 'BLQ', 'Bologna',                   44.5354,   11.2887,   123, 'Europe/Rome',                    '12/30:116'],
+    ['LIPZ', 'VCE', 'Venice Marco Polo',         45.5053,   12.3519,     7, 'Europe/Rome',                    '04R/22L:42 04L/22R:42'],
+    ['LIPX', 'VRN', 'Verona',                    45.3957,   10.8885,   239, 'Europe/Rome',                    '04/22:42'],
+    ['LIMC', 'MXP', 'Milan Malpensa',            45.6306,    8.7281,   768, 'Europe/Rome',                    '17L/35R:172 17R/35L:172'],
+    ['LIML', 'LIN', 'Milan Linate',              45.4454,    9.2767,   353, 'Europe/Rome',                    '17/35:174'],
+    ['LIME', 'BGY', 'Bergamo',                   45.6739,    9.7042,   782, 'Europe/Rome',                    '10/28:104'],
+    ['LIMF', 'TRN', 'Turin',                     45.2008,    7.6496,   989, 'Europe/Rome',                    '18/36:181'],
+    ['LIRQ', 'FLR', 'Florence',                  43.8100,   11.2051,   142, 'Europe/Rome',                    '05/23:46'],
+    ['LIRP', 'PSA', 'Pisa',                      43.6839,   10.3927,     6, 'Europe/Rome',                    '04R/22L:40 04L/22R:40'],
+    ['LIRF', 'FCO', 'Rome Fiumicino',            41.8003,   12.2389,    13, 'Europe/Rome',                    '16L/34R:160 16R/34L:160 07/25:74'],
+    ['LIRN', 'NAP', 'Naples',                    40.8860,   14.2908,   294, 'Europe/Rome',                    '06/24:62'],
+    ['LICC', 'CTA', 'Catania',                   37.4668,   15.0664,    39, 'Europe/Rome',                    '08/26:77'],
+    ['LICJ', 'PMO', 'Palermo',                   38.1760,   13.0910,    65, 'Europe/Rome',                    '07/25:71'],
+    ['LFPG', 'CDG', 'Paris Charles de Gaulle',   49.0097,    2.5479,   392, 'Europe/Paris',                   '08L/26R:86 08R/26L:86 09L/27R:86 09R/27L:86'],
+    ['LFPO', 'ORY', 'Paris Orly',                48.7233,    2.3794,   291, 'Europe/Paris',                   '06/24:62 02/20:21'],
+    ['LFLL', 'LYS', 'Lyon',                      45.7256,    5.0811,   821, 'Europe/Paris',                   '17L/35R:175 17R/35L:175'],
+    ['LFMN', 'NCE', 'Nice',                      43.6584,    7.2159,    12, 'Europe/Paris',                   '04L/22R:45 04R/22L:45'],
+    ['LFML', 'MRS', 'Marseille',                 43.4393,    5.2214,    74, 'Europe/Paris',                   '13L/31R:134 13R/31L:134'],
+    ['LFBO', 'TLS', 'Toulouse',                  43.6291,    1.3638,   499, 'Europe/Paris',                   '14L/32R:144 14R/32L:144'],
+    ['EGLL', 'LHR', 'London Heathrow',           51.4700,   -0.4543,    83, 'Europe/London',                  '09L/27R:90 09R/27L:90'],
+    ['EGKK', 'LGW', 'London Gatwick',            51.1537,   -0.1821,   202, 'Europe/London',                  '08R/26L:78 08L/26R:78'],
+    ['EGSS', 'STN', 'London Stansted',           51.8850,    0.2350,   348, 'Europe/London',                  '04/22:43'],
+    ['EGGW', 'LTN', 'London Luton',              51.8747,   -0.3683,   526, 'Europe/London',                  '07/25:74'],
+    ['EGLC', 'LCY', 'London City',               51.5053,    0.0553,    19, 'Europe/London',                  '09/27:93'],
+    ['EGCC', 'MAN', 'Manchester',                53.3537,   -2.2750,   257, 'Europe/London',                  '05L/23R:51 05R/23L:51'],
+    ['EGPH', 'EDI', 'Edinburgh',                 55.9500,   -3.3725,   136, 'Europe/London',                  '06/24:58'],
+    ['EIDW', 'DUB', 'Dublin',                    53.4213,   -6.2701,   242, 'Europe/Dublin',                  '10L/28R:100 10R/28L:100 16/34:160'],
+    ['EHAM', 'AMS', 'Amsterdam Schiphol',        52.3086,    4.7639,   -11, 'Europe/Amsterdam',               '18L/36R:183 18C/36C:183 18R/36L:183 06/24:58 09/27:87 04/22:41'],
+    ['EBBR', 'BRU', 'Brussels',                  50.9014,    4.4844,   184, 'Europe/Brussels',                '07L/25R:68 07R/25L:68 01/19:14'],
+    ['ELLX', 'LUX', 'Luxembourg',                49.6233,    6.2044,  1234, 'Europe/Luxembourg',              '06/24:62'],
+    ['EDDF', 'FRA', 'Frankfurt',                 50.0333,    8.5706,   364, 'Europe/Berlin',                  '07L/25R:70 07C/25C:70 07R/25L:70 18/36:180'],
+    ['EDDM', 'MUC', 'Munich',                    48.3538,   11.7861,  1487, 'Europe/Berlin',                  '08L/26R:82 08R/26L:82'],
+    ['EDDB', 'BER', 'Berlin Brandenburg',        52.3667,   13.5033,   157, 'Europe/Berlin',                  '07L/25R:68 07R/25L:68'],
+    ['EDDH', 'HAM', 'Hamburg',                   53.6304,    9.9882,    53, 'Europe/Berlin',                  '05/23:53 15/33:153'],
+    ['EDDL', 'DUS', 'Düsseldorf',                51.2895,    6.7668,   147, 'Europe/Berlin',                  '05L/23R:53 05R/23L:53'],
+    ['EDDK', 'CGN', 'Cologne Bonn',              50.8659,    7.1427,   302, 'Europe/Berlin',                  '14L/32R:136 06/24:63'],
+    ['EDDS', 'STR', 'Stuttgart',                 48.6899,    9.2220,  1276, 'Europe/Berlin',                  '07/25:72'],
+    ['LOWW', 'VIE', 'Vienna',                    48.1103,   16.5697,   600, 'Europe/Vienna',                  '11/29:117 16/34:166'],
+    ['LKPR', 'PRG', 'Prague',                    50.1008,   14.2600,  1247, 'Europe/Prague',                  '06/24:64 12/30:127'],
+    ['EPWA', 'WAW', 'Warsaw Chopin',             52.1657,   20.9671,   362, 'Europe/Warsaw',                  '11/29:111 15/33:150'],
+    ['LHBP', 'BUD', 'Budapest',                  47.4298,   19.2611,   495, 'Europe/Budapest',                '13L/31R:131 13R/31L:131'],
+    ['LROP', 'OTP', 'Bucharest Otopeni',         44.5711,   26.0850,   314, 'Europe/Bucharest',               '08L/26R:82 08R/26L:82'],
+    ['LBSF', 'SOF', 'Sofia',                     42.6952,   23.4062,  1742, 'Europe/Sofia',                   '09/27:88'],
+    ['LGAV', 'ATH', 'Athens',                    37.9364,   23.9445,   308, 'Europe/Athens',                  '03L/21R:35 03R/21L:35'],
+    ['LTFM', 'IST', 'Istanbul',                  41.2753,   28.7519,   325, 'Europe/Istanbul',                '16L/34R:174 16R/34L:174 17L/35R:174 17R/35L:174 18/36:174'],
+    ['LTFJ', 'SAW', 'Istanbul Sabiha Gökçen',    40.8986,   29.3092,   312, 'Europe/Istanbul',                '06/24:62'],
+    ['LEMD', 'MAD', 'Madrid Barajas',            40.4719,   -3.5626,  1998, 'Europe/Madrid',                  '14L/32R:143 14R/32L:143 18L/36R:180 18R/36L:180'],
+    ['LEBL', 'BCN', 'Barcelona',                 41.2971,    2.0785,    12, 'Europe/Madrid',                  '06L/24R:66 06R/24L:66 02/20:22'],
+    ['LEPA', 'PMI', 'Palma de Mallorca',         39.5517,    2.7388,    27, 'Europe/Madrid',                  '06L/24R:58 06R/24L:58'],
+    ['LEMG', 'AGP', 'Málaga',                    36.6749,   -4.4991,    52, 'Europe/Madrid',                  '13/31:128 12/30:117'],
+    ['LPPT', 'LIS', 'Lisbon',                    38.7813,   -9.1359,   374, 'Europe/Lisbon',                  '03/21:25 17/35:172'],
+    ['LPPR', 'OPO', 'Porto',                     41.2481,   -8.6814,   228, 'Europe/Lisbon',                  '17/35:172'],
+    ['EKCH', 'CPH', 'Copenhagen',                55.6180,   12.6561,    17, 'Europe/Copenhagen',              '04L/22R:43 04R/22L:43 12/30:124'],
+    ['ESSA', 'ARN', 'Stockholm Arlanda',         59.6519,   17.9186,   137, 'Europe/Stockholm',               '01L/19R:8 01R/19L:8 08/26:79'],
+    ['ENGM', 'OSL', 'Oslo Gardermoen',           60.1939,   11.1004,   681, 'Europe/Oslo',                    '01L/19R:14 01R/19L:14'],
+    ['EFHK', 'HEL', 'Helsinki',                  60.3172,   24.9633,   179, 'Europe/Helsinki',                '04L/22R:43 04R/22L:43 15/33:149'],
+    ['BIKF', 'KEF', 'Reykjavík Keflavík',        63.9850,  -22.6056,   171, 'Atlantic/Reykjavik',             '01/19:358 10/28:88'],
+    ['UUEE', 'SVO', 'Moscow Sheremetyevo',       55.9726,   37.4146,   630, 'Europe/Moscow',                  '06L/24R:69 06C/24C:69 06R/24L:69'],
+    ['LLBG', 'TLV', 'Tel Aviv Ben Gurion',       32.0114,   34.8867,   135, 'Asia/Jerusalem',                 '12/30:121 08/26:80 03/21:30'],
+    // --- Middle East ---
+    ['OMDB', 'DXB', 'Dubai',                     25.2528,   55.3644,    62, 'Asia/Dubai',                     '12L/30R:121 12R/30L:121'],
+    ['OMDW', 'DWC', 'Dubai World Central',       24.8964,   55.1614,   114, 'Asia/Dubai',                     '12/30:121'],
+    ['OMAA', 'AUH', 'Abu Dhabi',                 24.4330,   54.6511,    88, 'Asia/Dubai',                     '13L/31R:130 13R/31L:130'],
+    ['OTHH', 'DOH', 'Doha Hamad',                25.2731,   51.6081,    13, 'Asia/Qatar',                     '16L/34R:162 16R/34L:162'],
+    ['OBBI', 'BAH', 'Bahrain',                   26.2708,   50.6336,     6, 'Asia/Bahrain',                   '12L/30R:122'],
+    ['OKKK', 'KWI', 'Kuwait',                    29.2267,   47.9689,   206, 'Asia/Kuwait',                    '15L/33R:153 15R/33L:153'],
+    ['OERK', 'RUH', 'Riyadh',                    24.9576,   46.6988,  2049, 'Asia/Riyadh',                    '15L/33R:153 15R/33L:153'],
+    ['OEJN', 'JED', 'Jeddah',                    21.6796,   39.1565,    48, 'Asia/Riyadh',                    '16L/34R:159 16C/34C:159 16R/34L:159'],
+    ['OOMS', 'MCT', 'Muscat',                    23.5933,   58.2844,    48, 'Asia/Muscat',                    '08L/26R:79 08R/26L:79'],
+    ['OJAI', 'AMM', 'Amman Queen Alia',          31.7226,   35.9932,  2395, 'Asia/Amman',                     '08L/26R:85 08R/26L:85'],
+    ['OIIE', 'IKA', 'Tehran Imam Khomeini',      35.4161,   51.1522,  3305, 'Asia/Tehran',                    '11L/29R:113 11R/29L:113'],
+    // --- Africa ---
+    ['HECA', 'CAI', 'Cairo',                     30.1219,   31.4056,   382, 'Africa/Cairo',                   '05L/23R:50 05C/23C:50 05R/23L:50'],
+    ['GMMN', 'CMN', 'Casablanca',                33.3675,   -7.5900,   656, 'Africa/Casablanca',              '17L/35R:170 17R/35L:170'],
+    ['DTTA', 'TUN', 'Tunis-Carthage',            36.8510,   10.2272,    22, 'Africa/Tunis',                   '01/19:6 11/29:108'],
+    ['DAAG', 'ALG', 'Algiers',                   36.6910,    3.2154,    82, 'Africa/Algiers',                 '05/23:52 09/27:92'],
+    ['DNMM', 'LOS', 'Lagos',                      6.5774,    3.3212,   135, 'Africa/Lagos',                   '18L/36R:183 18R/36L:183'],
+    ['HAAB', 'ADD', 'Addis Ababa',                8.9779,   38.7993,  7625, 'Africa/Addis_Ababa',             '07L/25R:73 07R/25L:73'],
+    ['HKJK', 'NBO', 'Nairobi',                   -1.3192,   36.9278,  5330, 'Africa/Nairobi',                 '06/24:56'],
+    ['FAOR', 'JNB', 'Johannesburg',             -26.1392,   28.2460,  5558, 'Africa/Johannesburg',            '03L/21R:19 03R/21L:19'],
+    ['FACT', 'CPT', 'Cape Town',                -33.9715,   18.6021,   151, 'Africa/Johannesburg',            '01/19:11 16/34:153'],
+    // --- Asia ---
+    ['OPKC', 'KHI', 'Karachi',                   24.9065,   67.1608,   100, 'Asia/Karachi',                   '07L/25R:68 07R/25L:68'],
+    ['VIDP', 'DEL', 'Delhi',                     28.5562,   77.1000,   777, 'Asia/Kolkata',                   '09/27:88 10/28:98 11/29:108'],
+    ['VABB', 'BOM', 'Mumbai',                    19.0887,   72.8679,    39, 'Asia/Kolkata',                   '09/27:87 14/32:137'],
+    ['VOBL', 'BLR', 'Bengaluru',                 13.1979,   77.7063,  3000, 'Asia/Kolkata',                   '09L/27R:91 09R/27L:91'],
+    ['VOMM', 'MAA', 'Chennai',                   12.9900,   80.1693,    52, 'Asia/Kolkata',                   '07/25:71 12/30:118'],
+    ['VCBI', 'CMB', 'Colombo',                    7.1808,   79.8841,    30, 'Asia/Colombo',                   '04/22:40'],
+    ['VRMM', 'MLE', 'Malé',                       4.1918,   73.5291,     6, 'Indian/Maldives',                '18/36:180'],
+    ['UTTT', 'TAS', 'Tashkent',                  41.2579,   69.2812,  1417, 'Asia/Tashkent',                  '08L/26R:80 08R/26L:80'],
+    ['UAAA', 'ALA', 'Almaty',                    43.3521,   77.0405,  2234, 'Asia/Almaty',                    '05L/23R:48 05R/23L:48'],
+    ['VTBS', 'BKK', 'Bangkok Suvarnabhumi',      13.6900,  100.7501,     5, 'Asia/Bangkok',                   '01L/19R:15 01R/19L:15'],
+    ['WSSS', 'SIN', 'Singapore Changi',           1.3644,  103.9915,    22, 'Asia/Singapore',                 '02L/20R:23 02C/20C:23 02R/20L:23'],
+    ['WMKK', 'KUL', 'Kuala Lumpur',               2.7456,  101.7099,    69, 'Asia/Kuala_Lumpur',              '14L/32R:147 14R/32L:147 15/33:147'],
+    ['WIII', 'CGK', 'Jakarta Soekarno-Hatta',    -6.1256,  106.6559,    34, 'Asia/Jakarta',                   '07L/25R:72 07R/25L:72'],
+    ['WADD', 'DPS', 'Bali Denpasar',             -8.7482,  115.1670,    14, 'Asia/Makassar',                  '09/27:92'],
+    ['RPLL', 'MNL', 'Manila',                    14.5086,  121.0194,    75, 'Asia/Manila',                    '06/24:61 13/31:131'],
+    ['VVTS', 'SGN', 'Ho Chi Minh City',          10.8188,  106.6520,    33, 'Asia/Ho_Chi_Minh',               '07L/25R:72 07R/25L:72'],
+    ['VVNB', 'HAN', 'Hanoi',                     21.2212,  105.8072,    39, 'Asia/Ho_Chi_Minh',               '11L/29R:111 11R/29L:111'],
+    ['VHHH', 'HKG', 'Hong Kong',                 22.3080,  113.9185,    28, 'Asia/Hong_Kong',                 '07L/25R:73 07C/25C:73 07R/25L:73'],
+    ['ZGGG', 'CAN', 'Guangzhou Baiyun',          23.3924,  113.2988,    50, 'Asia/Shanghai',                  '01/19:13 02L/20R:13 02R/20L:13'],
+    ['ZGSZ', 'SZX', 'Shenzhen',                  22.6393,  113.8107,    13, 'Asia/Shanghai',                  '15/33:150 16/34:150'],
+    ['ZSPD', 'PVG', 'Shanghai Pudong',           31.1434,  121.8052,    13, 'Asia/Shanghai',                  '16L/34R:167 16R/34L:167 17L/35R:167 17R/35L:167 15/33:167'],
+    ['ZSSS', 'SHA', 'Shanghai Hongqiao',         31.1979,  121.3363,    10, 'Asia/Shanghai',                  '18L/36R:180 18R/36L:180'],
+    ['ZBAA', 'PEK', 'Beijing Capital',           40.0801,  116.5846,   116, 'Asia/Shanghai',                  '18L/36R:180 18R/36L:180 01/19:0'],
+    ['ZBAD', 'PKX', 'Beijing Daxing',            39.5098,  116.4105,    98, 'Asia/Shanghai',                  '17L/35R:175 17R/35L:175'],
+    ['ZUUU', 'CTU', 'Chengdu Shuangliu',         30.5785,  103.9471,  1625, 'Asia/Shanghai',                  '02L/20R:20 02R/20L:20'],
+    ['RCTP', 'TPE', 'Taipei Taoyuan',            25.0797,  121.2342,   106, 'Asia/Taipei',                    '05L/23R:52 05R/23L:52'],
+    ['RKSI', 'ICN', 'Seoul Incheon',             37.4602,  126.4407,    23, 'Asia/Seoul',                     '15L/33R:148 15R/33L:148 16L/34R:148 16R/34L:148'],
+    ['RKSS', 'GMP', 'Seoul Gimpo',               37.5583,  126.7906,    59, 'Asia/Seoul',                     '14L/32R:137 14R/32L:137'],
+    ['RJTT', 'HND', 'Tokyo Haneda',              35.5494,  139.7798,    35, 'Asia/Tokyo',                     '16L/34R:157 16R/34L:157 04/22:36 05/23:43'],
+    ['RJAA', 'NRT', 'Tokyo Narita',              35.7647,  140.3864,   141, 'Asia/Tokyo',                     '16L/34R:157 16R/34L:157'],
+    ['RJBB', 'KIX', 'Osaka Kansai',              34.4273,  135.2440,    26, 'Asia/Tokyo',                     '06L/24R:56 06R/24L:56'],
+    // --- Oceania ---
+    ['YSSY', 'SYD', 'Sydney',                   -33.9461,  151.1772,    21, 'Australia/Sydney',               '16L/34R:169 16R/34L:169 07/25:75'],
+    ['YMML', 'MEL', 'Melbourne',                -37.6733,  144.8433,   434, 'Australia/Melbourne',            '16/34:171 09/27:100'],
+    ['YBBN', 'BNE', 'Brisbane',                 -27.3842,  153.1175,    13, 'Australia/Brisbane',             '01L/19R:25 01R/19L:25'],
+    ['YPPH', 'PER', 'Perth',                    -31.9403,  115.9669,    67, 'Australia/Perth',                '03/21:22 06/24:58'],
+    ['NZAA', 'AKL', 'Auckland',                 -37.0082,  174.7917,    23, 'Pacific/Auckland',               '05R/23L:64'],
+    ['NZCH', 'CHC', 'Christchurch',             -43.4894,  172.5322,   123, 'Pacific/Auckland',               '02/20:42 11/29:133'],
+    ['NFFN', 'NAN', 'Nadi',                     -17.7554,  177.4431,    59, 'Pacific/Fiji',                   '02/20:34'],
+    // --- North America ---
+    ['KJFK', 'JFK', 'New York JFK',              40.6398,  -73.7789,    13, 'America/New_York',               '04L/22R:31 04R/22L:31 13L/31R:121 13R/31L:121'],
+    ['KEWR', 'EWR', 'Newark',                    40.6925,  -74.1687,    18, 'America/New_York',               '04L/22R:26 04R/22L:26 11/29:95'],
+    ['KLGA', 'LGA', 'New York LaGuardia',        40.7769,  -73.8740,    21, 'America/New_York',               '04/22:32 13/31:122'],
+    ['KBOS', 'BOS', 'Boston Logan',              42.3656,  -71.0096,    20, 'America/New_York',               '04R/22L:27 09/27:77 15R/33L:135'],
+    ['KIAD', 'IAD', 'Washington Dulles',         38.9445,  -77.4558,   313, 'America/New_York',               '01L/19R:0 01C/19C:0 01R/19L:0 12/30:110'],
+    ['KATL', 'ATL', 'Atlanta',                   33.6367,  -84.4281,  1026, 'America/New_York',               '08L/26R:90 08R/26L:90 09L/27R:90 09R/27L:90 10/28:90'],
+    ['KMIA', 'MIA', 'Miami',                     25.7959,  -80.2870,     8, 'America/New_York',               '08L/26R:87 08R/26L:87 09/27:87 12/30:117'],
+    ['KMCO', 'MCO', 'Orlando',                   28.4294,  -81.3089,    96, 'America/New_York',               '17L/35R:174 17R/35L:174 18L/36R:174 18R/36L:174'],
+    ['KORD', 'ORD', 'Chicago O\'Hare',           41.9786,  -87.9048,   672, 'America/Chicago',                '09L/27R:90 09C/27C:90 09R/27L:90 10L/28R:90 10C/28C:90 10R/28L:90 04R/22L:40'],
+    ['KMSP', 'MSP', 'Minneapolis-Saint Paul',    44.8848,  -93.2223,   841, 'America/Chicago',                '12L/30R:118 12R/30L:118 17/35:174 04/22:40'],
+    ['KDFW', 'DFW', 'Dallas/Fort Worth',         32.8998,  -97.0403,   607, 'America/Chicago',                '17L/35R:175 17C/35C:175 17R/35L:175 18L/36R:175 18R/36L:175 13R/31L:130'],
+    ['KIAH', 'IAH', 'Houston Intercontinental',  29.9844,  -95.3414,    97, 'America/Chicago',                '08L/26R:90 09/27:90 15L/33R:148 15R/33L:148'],
+    ['KDEN', 'DEN', 'Denver',                    39.8617, -104.6731,  5434, 'America/Denver',                 '16L/34R:180 16R/34L:180 17L/35R:180 17R/35L:180 07/25:90 08/26:90'],
+    ['KPHX', 'PHX', 'Phoenix Sky Harbor',        33.4342, -112.0116,  1135, 'America/Phoenix',                '07L/25R:90 07R/25L:90 08/26:90'],
+    ['KLAS', 'LAS', 'Las Vegas',                 36.0840, -115.1537,  2181, 'America/Los_Angeles',            '01L/19R:15 01R/19L:15 08L/26R:82 08R/26L:82'],
+    ['KLAX', 'LAX', 'Los Angeles',               33.9416, -118.4085,   128, 'America/Los_Angeles',            '06L/24R:83 06R/24L:83 07L/25R:83 07R/25L:83'],
+    ['KSFO', 'SFO', 'San Francisco',             37.6213, -122.3790,    13, 'America/Los_Angeles',            '10L/28R:118 10R/28L:118 01L/19R:28 01R/19L:28'],
+    ['KSEA', 'SEA', 'Seattle-Tacoma',            47.4502, -122.3088,   433, 'America/Los_Angeles',            '16L/34R:180 16C/34C:180 16R/34L:180'],
+    ['PANC', 'ANC', 'Anchorage',                 61.1744, -149.9964,   152, 'America/Anchorage',              '07L/25R:91 07R/25L:91 15/33:165'],
+    ['PHNL', 'HNL', 'Honolulu',                  21.3187, -157.9225,    13, 'Pacific/Honolulu',               '08L/26R:90 08R/26L:90 04L/22R:50 04R/22L:50'],
+    ['CYYZ', 'YYZ', 'Toronto Pearson',           43.6777,  -79.6248,   569, 'America/Toronto',                '05/23:47 06L/24R:57 06R/24L:57 15L/33R:138 15R/33L:138'],
+    ['CYUL', 'YUL', 'Montréal Trudeau',          45.4706,  -73.7408,   118, 'America/Toronto',                '06L/24R:42 06R/24L:42'],
+    ['CYVR', 'YVR', 'Vancouver',                 49.1951, -123.1779,    14, 'America/Vancouver',              '08L/26R:100 08R/26L:100 13/31:148'],
+    ['CYYC', 'YYC', 'Calgary',                   51.1315, -114.0106,  3557, 'America/Edmonton',               '17L/35R:183 17R/35L:183 11/29:123'],
+    ['MMMX', 'MEX', 'Mexico City',               19.4363,  -99.0721,  7316, 'America/Mexico_City',            '05L/23R:59 05R/23L:59'],
+    ['MMUN', 'CUN', 'Cancún',                    21.0365,  -86.8771,    22, 'America/Cancun',                 '12L/30R:121 12R/30L:121'],
+    ['TJSJ', 'SJU', 'San Juan',                  18.4394,  -66.0018,     9, 'America/Puerto_Rico',            '08/26:76'],
+    // --- Central & South America ---
+    ['MPTO', 'PTY', 'Panama City Tocumen',        9.0714,  -79.3835,   135, 'America/Panama',                 '03L/21R:29 03R/21L:29'],
+    ['SKBO', 'BOG', 'Bogotá El Dorado',           4.7016,  -74.1469,  8361, 'America/Bogota',                 '13L/31R:127 13R/31L:127'],
+    ['SPJC', 'LIM', 'Lima',                     -12.0219,  -77.1143,   113, 'America/Lima',                   '16/34:157'],
+    ['SCEL', 'SCL', 'Santiago de Chile',        -33.3930,  -70.7858,  1555, 'America/Santiago',               '17L/35R:176 17R/35L:176'],
+    ['SAEZ', 'EZE', 'Buenos Aires Ezeiza',      -34.8222,  -58.5358,    67, 'America/Argentina/Buenos_Aires', '11/29:101 17/35:165'],
+    ['SBGR', 'GRU', 'São Paulo Guarulhos',      -23.4356,  -46.4731,  2459, 'America/Sao_Paulo',              '10L/28R:88 10R/28L:88'],
+    ['SBGL', 'GIG', 'Rio de Janeiro Galeão',    -22.8100,  -43.2506,    28, 'America/Sao_Paulo',              '10/28:83 15/33:143']
+].map(([icao, iata, name, lat, lon, elevFt, tz, rwys]) => ({
+    icao, iata, name, lat, lon, elevFt, tz,
+    // Runway ends { id, hdg }: both directions of every runway
+    runways: rwys.split(' ').flatMap(spec => {
+        const [ids, hdg] = spec.split(':');
+        const [a, b] = ids.split('/');
+        return [{ id: a, hdg: Number(hdg) }, { id: b, hdg: (Number(hdg) + 180) % 360 }];
+    })
+}));
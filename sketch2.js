@@ -1,6 +1,6 @@
 // ============ Flight Visualization — Rosette Only ============
 // Controls:
-//   A -> save PNG of the current rosette
+//   A -> save PNG of the current view (rosette, spiral or ribbon layout)
 // =============================================================
 
 let rows = [];
@@ -30,7 +30,22 @@ let trackDir = null; // Overall track direction: 'E' (eastbound) or 'W' (westbou
 let infoRefs; // populated in setup when HTML elements exist
 
 let selectedIdx = 0; // Currently selected point index (based on mouse position)
+
+// Coverage gaps in the measured data and how they are reconstructed
+let currentFlight = null;  // last loaded flight ({ rows, callsign, report }), re-applied when the gap mode changes
+let measuredRows = [];     // validated rows as imported, before any gap reconstruction
+let gaps = [];             // [{ i0, startMs, endMs, durationMs }] between measured rows
+let gapFillMode = 'none';  // 'none' | 'linear' | 'great-circle'
+let showBasemap = true;    // draw the bundled coastlines/borders under the minimap track
+
+// Brushed time window: the rosette, minimap, charts and statistics only show viewRange
+let viewRange = { startMs: null, endMs: null, i0: 0, i1: -1 }; // i0..i1 = rows inside the window
+let viewStack = [];        // enclosing windows, outermost (whole flight) first — the breadcrumbs
 let cursorFollowMouse = true; // toggle whether cursor follows mouse
+let cursorOwner = null;       // sub-panel currently driving the selection with the pointer (e.g. 'minimap')
+
+// Playback: the selection advances by timestamp at `speed`× real time (see advancePlayback)
+let playback = { playing: false, speed: 60, loop: false, ms: null };
 
 // Centralized DOM cache
 let dom = {};
@@ -38,6 +53,10 @@ function cacheDomRefs() {
     dom.dashboard      = document.getElementById('dashboard');
     dom.welcome        = document.getElementById('welcome');
     dom.dropZone       = document.getElementById('drop-zone');
+    dom.sampleGallery  = document.getElementById('sample-gallery');
+    dom.library        = document.getElementById('flight-library');
+    dom.librarySearch  = document.getElementById('library-search');
+    dom.libraryList    = document.getElementById('library-list');
     dom.csvInput       = document.getElementById('csv-input');
 
     // Main canvas container
@@ -48,7 +67,37 @@ function cacheDomRefs() {
 
     // Secondary canvas elements
     dom.flightPathHost = document.getElementById('flight-path-canvas');
-    dom.flightSpeedHost= document.getElementById('flight-speed-canvas');
+    dom.minimapFit     = document.getElementById('minimap-fit');
+    dom.viewRangeBar   = document.getElementById('view-range-bar');
+    dom.viewRangeReset = document.getElementById('view-range-reset');
+    dom.playbackPlay   = document.getElementById('playback-play');
+    dom.playbackScrub  = document.getElementById('playback-scrubber');
+    dom.playbackTime   = document.getElementById('playback-time');
+    dom.playbackSpeed  = document.getElementById('playback-speed');
+    dom.playbackLoop   = document.getElementById('playback-loop');
+    dom.exportVideoButton = document.getElementById('export-video-button');
+    dom.exportSvgButton = document.getElementById('export-svg-button');
+    dom.exportPdfButton = document.getElementById('export-pdf-button');
+    dom.exportPosterButton = document.getElementById('export-poster-button');
+    dom.exportCsvButton = document.getElementById('export-csv-button');
+    dom.exportJsonButton = document.getElementById('export-json-button');
+    dom.exportDialog      = document.getElementById('export-dialog');
+    dom.exportFormat      = document.getElementById('export-format');
+    dom.exportDuration    = document.getElementById('export-duration');
+    dom.exportFps         = document.getElementById('export-fps');
+    dom.exportResolution  = document.getElementById('export-resolution');
+    dom.exportPanels      = document.getElementById('export-panels');
+    dom.exportProgress    = document.getElementById('export-progress');
+    dom.exportStart       = document.getElementById('export-start');
+    dom.exportCancel      = document.getElementById('export-cancel');
+    dom.posterDialog   = document.getElementById('poster-dialog');
+    dom.posterSize     = document.getElementById('poster-size');
+    dom.posterWidth    = document.getElementById('poster-width');
+    dom.posterHeight   = document.getElementById('poster-height');
+    dom.posterMinimap  = document.getElementById('poster-minimap');
+    dom.posterProgress = document.getElementById('poster-progress');
+    dom.posterCancel   = document.getElementById('poster-cancel');
+    dom.posterStart    = document.getElementById('poster-start');
 
     // Info card fields
     dom.infoDate       = document.getElementById('info-date');
@@ -60,20 +109,66 @@ function cacheDomRefs() {
     dom.infoLocation   = document.getElementById('info-location');
     dom.infoAltitude   = document.getElementById('info-altitude');
     dom.infoTilt       = document.getElementById('info-tilt');
+    dom.infoPhase      = document.getElementById('info-phase');
     dom.infoCallsign   = document.getElementById('info-callsign');
+    dom.infoOrigin     = document.getElementById('info-origin');
+    dom.infoDestination = document.getElementById('info-destination');
     dom.infoTakeoff    = document.getElementById('info-actual-takeoff-time');
     dom.infoLanding    = document.getElementById('info-actual-landing-time');
 
+    dom.legRow         = document.getElementById('leg-row');
+    dom.legSelect      = document.getElementById('leg-select');
+    dom.infoEvents     = document.getElementById('info-events');
+    dom.infoGaps       = document.getElementById('info-gaps');
+    dom.gapFillSelect  = document.getElementById('gap-fill-select');
+    dom.optBasemap     = document.getElementById('opt-basemap');
+
+    dom.infoFlown      = document.getElementById('info-flown');
+    dom.infoRemaining  = document.getElementById('info-remaining');
+    dom.totalDistance  = document.getElementById('info-total-distance');
+    dom.routeEfficiency= document.getElementById('info-route-efficiency');
+
     dom.avgSpeed       = document.getElementById('avg-speed');
     dom.maxSpeed       = document.getElementById('max-speed');
 
     dom.resetButton    = document.getElementById('reset-button');
 
-    // Speed legend swatches
-    dom.speedLegend = new Array(SPEED_BANDS.length);
-    for (let i = 0; i < SPEED_BANDS.length; i++) {
-        dom.speedLegend[i] = document.getElementById(`color-band-${i}`);
-    }
+    // Column mapping dialog (CSV import)
+    dom.mappingDialog  = document.getElementById('mapping-dialog');
+    dom.mappingFields  = document.getElementById('mapping-fields');
+    dom.mappingError   = document.getElementById('mapping-error');
+    dom.mappingConfirm = document.getElementById('mapping-confirm');
+    dom.mappingCancel  = document.getElementById('mapping-cancel');
+
+    // Import options and report panel
+    dom.optSort            = document.getElementById('opt-sort');
+    dom.optDedupe          = document.getElementById('opt-dedupe');
+    dom.importReport       = document.getElementById('import-report');
+    dom.importReportClose  = document.getElementById('import-report-close');
+    dom.importReportSummary= document.getElementById('import-report-summary');
+    dom.importReportList   = document.getElementById('import-report-list');
+
+    // Unit preference per quantity (see UNITS)
+    dom.unitSelects = {
+        altitude:     document.getElementById('unit-altitude'),
+        speed:        document.getElementById('unit-speed'),
+        verticalRate: document.getElementById('unit-vertical-rate'),
+        distance:     document.getElementById('unit-distance')
+    };
+
+    // Trail layout (rosette, spiral, ribbon) and spiral turn duration
+    dom.layoutSelect       = document.getElementById('layout-select');
+    dom.spiralTurn         = document.getElementById('spiral-turn');
+    dom.spiralTurnRow      = document.getElementById('spiral-turn-row');
+
+    // Trail colour mode, legend (generated from the mode, see trailLegend) and speed band editor
+    dom.trailColorMode     = document.getElementById('trail-color-mode');
+    dom.trailLegendTitle   = document.getElementById('trail-legend-title');
+    dom.speedLegend        = document.getElementById('speed-legend-rows');
+    dom.speedBandEditor    = document.querySelector('.speed-band-editor');
+    dom.speedPreset        = document.getElementById('speed-preset');
+    dom.speedPalette       = document.getElementById('speed-palette');
+    dom.speedBreaks        = document.getElementById('speed-breaks');
 
     // Additional cursor status indicator DOM elements
     dom.cursorOnIcon         = document.getElementById('cursor-on-icon');
@@ -82,10 +177,59 @@ function cacheDomRefs() {
     dom.cursorStatusSubtitle = document.querySelector('.cursor-status-msg-subtitle');
 }
 
-function updateSpeedLegend() {
-    for (let i = 0; i < SPEED_BANDS.length; i++) {
-        const [r, g, b] = SPEED_BANDS[i].color;
-        dom.speedLegend[i].style.backgroundColor = `rgb(${r}, ${g}, ${b})`;
+// Rebuild the legend for the active colour mode: a row per speed band, or a gradient bar with
+// its ticks; the band editor only applies to speed
+function updateTrailLegend() {
+    if (!dom.speedLegend) return;
+    const legend = trailLegend();
+    if (dom.trailLegendTitle) dom.trailLegendTitle.textContent = legend.title;
+    if (dom.speedBandEditor) dom.speedBandEditor.classList.toggle('hidden', !legend.bands);
+    dom.speedLegend.innerHTML = '';
+    if (!legend.bands) {
+        const bar = document.createElement('div');
+        bar.className = 'trail-scale-bar';
+        bar.style.background = `linear-gradient(90deg, ${legend.stops.map(([r, g, b]) => `rgb(${r}, ${g}, ${b})`).join(', ')})`;
+        const ticks = document.createElement('div');
+        ticks.className = 'trail-scale-ticks';
+        for (const text of legend.ticks) {
+            const tick = document.createElement('span');
+            tick.textContent = text;
+            ticks.appendChild(tick);
+        }
+        dom.speedLegend.append(bar, ticks);
+        return;
+    }
+    for (const band of legend.bands) {
+        const [r, g, b] = band.color;
+        const row = document.createElement('div');
+        row.className = 'speed-key-row';
+        const key = document.createElement('div');
+        key.className = 'color-key';
+        key.style.backgroundColor = `rgb(${r}, ${g}, ${b})`;
+        const label = document.createElement('span');
+        label.className = 'k';
+        label.textContent = speedBandLabel(band);
+        row.append(key, label);
+        dom.speedLegend.appendChild(row);
+    }
+}
+
+// Fill the band editor's selects once and keep them in sync with speedBandSettings
+function populateSpeedBandEditor() {
+    if (dom.speedPreset && !dom.speedPreset.options.length) {
+        const presets = Object.entries(SPEED_BAND_PRESETS).map(([id, p]) => `<option value="${id}">${p.label}</option>`);
+        dom.speedPreset.innerHTML = presets.join('') + '<option value="custom">Custom</option>';
+    }
+    if (dom.speedPalette && !dom.speedPalette.options.length) {
+        dom.speedPalette.innerHTML = Object.entries(SPEED_PALETTES).map(([id, p]) => `<option value="${id}">${p.label}</option>`).join('');
+    }
+    if (dom.speedPreset)  dom.speedPreset.value  = speedBandSettings.preset;
+    if (dom.speedPalette) dom.speedPalette.value = speedBandSettings.palette;
+    if (dom.speedBreaks) {
+        const unit = unitOf('speed').label;
+        dom.speedBreaks.value = speedBreaksText(speedBandSettings.breaks);
+        dom.speedBreaks.title = `Lower bound of each band in ${unit}, comma-separated`;
+        dom.speedBreaks.setAttribute('aria-label', `Band lower bounds (${unit})`);
     }
 }
 
@@ -100,25 +244,40 @@ let actualTakeOffTime = null, actualLandingTime = null; // formatted UTC strings
 // Constant to convert speed from knots to feet per second
 const KNOT_TO_FPS = 1.68781; // knots -> feet/second
 
-// Fixed commercial-aviation speed bands (knots) → 6 colors
+// Speed bands (knots) → colours. The active bands come from a preset (or custom breaks) and a palette,
+// chosen in the band editor under the speed legend (see applySpeedBandSettings). The default jet preset:
 // 0–40  : Push/Taxi slow → Red
 // 40–160: T/O roll & late approach → Orange
 // 160–300: Climb/Descent (<FL100 ops) → Green
 // 300–420: Transition / low cruise → Blue
 // 420–520: Typical cruise → Purple
 // 520+   : Fast cruise / jetstream → Pink
-const GS_BREAKS = [0, 40, 160, 300, 420, 520];
-const SPEED_BANDS = [
-    { min: 0,   max: 40,       color: [255,  66,  69] },  // Red
-    { min: 40,  max: 160,      color: [255, 146,  48] },  // Orange
-    { min: 160, max: 300,      color: [ 48, 209,  88] },  // Green
-    { min: 300, max: 420,      color: [  0, 145, 255] },  // Blue
-    { min: 420, max: 520,      color: [ 219, 52, 242] },  // Purple
-    { min: 520, max: Infinity, color: [ 255, 55,  95] }   // Pink (fastest)
-];
+const SPEED_BAND_PRESETS = {
+    jet:        { label: 'Jet airliner',     breaks: [0, 40, 160, 300, 420, 520] },
+    turboprop:  { label: 'Turboprop',        breaks: [0, 30, 100, 180, 240, 300] },
+    ga:         { label: 'General aviation', breaks: [0, 20, 60, 100, 140, 180] },
+    rotorcraft: { label: 'Rotorcraft',       breaks: [0, 10, 40, 80, 110, 140] }
+};
+
+// Palettes are sampled evenly to the number of bands. Viridis and cividis skip their darkest
+// end so the slowest band stays visible on the dark background.
+const SPEED_PALETTES = {
+    skytrail: { label: 'skyTrail',  colors: [[255, 66, 69], [255, 146, 48], [48, 209, 88], [0, 145, 255], [219, 52, 242], [255, 55, 95]] },
+    viridis:  { label: 'Viridis',   colors: [[70, 50, 126], [59, 82, 139], [44, 113, 142], [33, 145, 140], [53, 183, 121], [144, 215, 67], [253, 231, 37]] },
+    cividis:  { label: 'Cividis',   colors: [[50, 66, 109], [87, 92, 109], [124, 123, 120], [165, 156, 116], [205, 191, 99], [255, 234, 70]] }
+};
+const SPEED_BANDS_STORAGE_KEY = 'skyTrail.speedBands';
+
+// Active bands, filled in place by setSpeedBands() so every reader sees the current set
+const GS_BREAKS = [];   // lower bound of each band (kt)
+const SPEED_BANDS = []; // [{ min, max, color: [r, g, b] }], the last band is open-ended
+let speedBandSettings = { preset: 'jet', palette: 'skytrail', breaks: SPEED_BAND_PRESETS.jet.breaks.slice() };
 
-// Stroke weight scale anchored to fixed aviation GS (knots)
-const SW_MIN = 2.0, SW_MAX = 5.0, SW_MAX_AT = 520; // ≥520 kt uses max thickness
+// Stroke weight scale anchored to the band breaks (knots)
+const SW_MIN = 2.0, SW_MAX = 5.0;
+let SW_MAX_AT = 520; // ≥ the last break uses max thickness
+
+setSpeedBands(speedBandSettings.breaks, speedBandSettings.palette);
 
 // GETTER that returns a simplified flight track as an array of {lat, lon}.
 window.skyTrailState = {
@@ -156,7 +315,18 @@ function setup() {
     pixelDensity(4); // High-DPI rendering for crispness on Retina screens
 
     cacheDomRefs();
-    updateSpeedLegend();
+    loadUnitPrefs();
+    populateUnitSelects();
+    loadSpeedBandSettings();
+    if (dom.trailColorMode) {
+        dom.trailColorMode.innerHTML = Object.entries(COLOR_MODES).map(([id, m]) => `<option value="${id}">${m.label}</option>`).join('');
+        dom.trailColorMode.value = trailColorMode;
+    }
+    updateTrailLegend();
+    populateSpeedBandEditor();
+    if (dom.layoutSelect) dom.layoutSelect.innerHTML = Object.entries(LAYOUTS).map(([id, l]) => `<option value="${id}">${l.label}</option>`).join('');
+    if (dom.spiralTurn) dom.spiralTurn.innerHTML = SPIRAL_TURN_OPTIONS_MIN.map(m => `<option value="${m}">${m < 60 ? `${m} min` : `${m / 60} h`}</option>`).join('');
+    setRosetteLayout(rosetteLayout);
 
     // Side info card. Cache references from centralized DOM cache
     window.infoRefs = {
@@ -168,44 +338,26 @@ function setup() {
         loc:           dom.infoLocation,
         alt:           dom.infoAltitude,
         tilt:          dom.infoTilt,
+        phase:         dom.infoPhase,
+        flown:         dom.infoFlown,
+        remaining:     dom.infoRemaining,
         callsign:      dom.infoCallsign,
         takeoffActual: dom.infoTakeoff,
         landingActual: dom.infoLanding,
         flightTime:    dom.infoFlightTime,
     };
 
+    createSampleGallery();
+    refreshFlightLibrary();
+    if (dom.librarySearch) dom.librarySearch.addEventListener('input', renderFlightLibrary);
+
     // Wire up welcome/upload UI and swap screens after upload
     if (dom.dropZone && dom.csvInput) {
         const onFiles = (files) => {
             const f = files && files[0];
             if (!f) return;
-            // Validate CSV extension
-            if (!f.name.toLowerCase().endsWith(".csv")) {
-                alert("Only .csv files are supported.");
-                return;
-            }
-
             const reader = new FileReader();
-
-            reader.onload = (e) => {
-                parseFromCSVText(String(e.target.result));
-
-                if (dom.welcome) dom.welcome.classList.add('hidden');
-                if (dom.dashboard) dom.dashboard.classList.remove('hidden');
-
-                if (!minimap) {
-                    createMinimap();
-                } else {
-                    minimap.rebuild();
-                }
-
-                if (!speedChart) {
-                    createSpeedChart();
-                } else {
-                    speedChart.rebuild();
-                }
-            };
-
+            reader.onload = (e) => loadFlightText(String(e.target.result), f.name);
             reader.readAsText(f);
         };
 
@@ -242,6 +394,103 @@ function setup() {
         resetToWelcome();
     });
 
+    // Import options (welcome screen) and dismissible import report (dashboard)
+    if (dom.optSort) {
+        dom.optSort.checked = importOptions.sortByTime;
+        dom.optSort.addEventListener('change', () => { importOptions.sortByTime = dom.optSort.checked; });
+    }
+    if (dom.optDedupe) {
+        dom.optDedupe.checked = importOptions.dropDuplicates;
+        dom.optDedupe.addEventListener('change', () => { importOptions.dropDuplicates = dom.optDedupe.checked; });
+    }
+    // Leg selector for multi-leg files (right info card)
+    if (dom.legSelect) {
+        dom.legSelect.addEventListener('change', () => selectLeg(Number(dom.legSelect.value)));
+    }
+
+    // Gap reconstruction mode (right info card)
+    if (dom.gapFillSelect) {
+        dom.gapFillSelect.value = gapFillMode;
+        dom.gapFillSelect.addEventListener('change', () => setGapFillMode(dom.gapFillSelect.value));
+    }
+    // Minimap basemap toggle (right info card)
+    if (dom.optBasemap) {
+        dom.optBasemap.checked = showBasemap;
+        dom.optBasemap.addEventListener('change', () => {
+            showBasemap = dom.optBasemap.checked;
+            if (minimap) minimap.rebuild();
+        });
+    }
+    // Brushed range breadcrumbs (speed chart)
+    if (dom.viewRangeBar) {
+        dom.viewRangeBar.addEventListener('click', (e) => {
+            const crumb = e.target.closest('[data-depth]');
+            if (crumb) popViewRange(Number(crumb.dataset.depth));
+        });
+    }
+    if (dom.viewRangeReset) {
+        dom.viewRangeReset.addEventListener('click', () => resetViewRange());
+    }
+    // Playback controls (under the rosette)
+    if (dom.playbackPlay) dom.playbackPlay.addEventListener('click', () => togglePlayback());
+    if (dom.playbackSpeed) {
+        dom.playbackSpeed.value = String(playback.speed);
+        dom.playbackSpeed.addEventListener('change', () => { playback.speed = Number(dom.playbackSpeed.value); });
+    }
+    if (dom.playbackLoop) {
+        dom.playbackLoop.checked = playback.loop;
+        dom.playbackLoop.addEventListener('change', () => { playback.loop = dom.playbackLoop.checked; });
+    }
+    if (dom.playbackScrub) {
+        dom.playbackScrub.addEventListener('input', () => scrubTo(Number(dom.playbackScrub.value) / Number(dom.playbackScrub.max)));
+    }
+    // Video / GIF export
+    if (dom.exportVideoButton) dom.exportVideoButton.addEventListener('click', () => openExportVideoDialog());
+    if (dom.exportSvgButton) dom.exportSvgButton.addEventListener('click', () => exportRosetteVector('svg'));
+    if (dom.exportPdfButton) dom.exportPdfButton.addEventListener('click', () => exportRosetteVector('pdf'));
+    if (dom.exportPosterButton) dom.exportPosterButton.addEventListener('click', () => openPosterDialog());
+    if (dom.exportCsvButton) dom.exportCsvButton.addEventListener('click', () => exportEnrichedData('csv'));
+    if (dom.exportJsonButton) dom.exportJsonButton.addEventListener('click', () => exportEnrichedData('json'));
+    if (dom.importReportClose) {
+        dom.importReportClose.addEventListener('click', () => dom.importReport.classList.add('hidden'));
+    }
+
+    // Trail colour mode
+    if (dom.trailColorMode) dom.trailColorMode.addEventListener('change', () => setTrailColorMode(dom.trailColorMode.value));
+    // Units: one preference per quantity
+    for (const [quantity, select] of Object.entries(dom.unitSelects)) {
+        if (select) select.addEventListener('change', () => applyUnitPrefs({ ...unitPrefs, [quantity]: select.value }));
+    }
+    // Layout (rosette, spiral, ribbon) and the duration of one spiral turn
+    if (dom.layoutSelect) dom.layoutSelect.addEventListener('change', () => setRosetteLayout(dom.layoutSelect.value));
+    if (dom.spiralTurn) dom.spiralTurn.addEventListener('change', () => setRosetteLayout(rosetteLayout, Number(dom.spiralTurn.value)));
+
+    // Speed band editor: preset, palette, or custom breaks typed as a list
+    if (dom.speedPreset) dom.speedPreset.addEventListener('change', () => {
+        const preset = SPEED_BAND_PRESETS[dom.speedPreset.value];
+        if (!preset) return; // "Custom" only becomes active by editing the breaks
+        applySpeedBandSettings({ ...speedBandSettings, preset: dom.speedPreset.value, breaks: preset.breaks.slice() });
+    });
+    if (dom.speedPalette) dom.speedPalette.addEventListener('change', () => {
+        applySpeedBandSettings({ ...speedBandSettings, palette: dom.speedPalette.value });
+    });
+    if (dom.speedBreaks) dom.speedBreaks.addEventListener('change', () => {
+        // Typed in the preferred speed unit; a preset matches when it reads the same in that unit
+        const typed = parseSpeedBreaks(dom.speedBreaks.value);
+        dom.speedBreaks.classList.toggle('invalid', !typed);
+        if (!typed) return;
+        const preset = Object.keys(SPEED_BAND_PRESETS).find(id => speedBreaksText(SPEED_BAND_PRESETS[id].breaks) === typed.join(', ')) || 'custom';
+        const breaks = preset !== 'custom'
+            ? SPEED_BAND_PRESETS[preset].breaks.slice()
+            : typed.map(v => Math.round(10 * v / unitOf('speed').factor) / 10);
+        applySpeedBandSettings({ ...speedBandSettings, preset, breaks });
+    });
+
+    // Deep links: restore the view state (and flight) from the URL hash
+    window.addEventListener('hashchange', () => {
+        if (location.hash.replace(/^#/, '') !== lastLocationHash) restoreFromLocationHash();
+    });
+    restoreFromLocationHash();
 }
 
 function windowResized() {
@@ -260,13 +509,17 @@ function windowResized() {
     background(0, 0, 10);
 }
 
-// ============================== [2] CSV PARSE HELPERS ===============================
+// ========================= [2] IMPORT & CSV PARSE HELPERS ===========================
 
 function resetDataHolders() {
     rows = [];
     bounds = { latMin:  1e9, latMax: -1e9, lonMin:  1e9, lonMax: -1e9 };
     range  = { altMin:  1e9, altMax: -1e9, spdMin: 1e9, spdMax: -1e9 };
     startTimestampMs = null; endTimestampMs = null; trackDir = null;
+    measuredRows = []; gaps = [];
+    flightEvents = []; legs = []; selectedLegIdx = 0; phaseSegments = [];
+    viewRange = { startMs: null, endMs: null, i0: 0, i1: -1 }; viewStack = [];
+    playback.playing = false; playback.ms = null;
     actualTakeOffMs = null; actualLandingMs = null;
     actualTakeOffTime = null; actualLandingTime = null;
     // Clear rosette caches/flags so a new dataset rebuilds layers
@@ -277,6 +530,7 @@ function resetDataHolders() {
 function resetToWelcome() {
     // 1) Reset data/state
     resetDataHolders();
+    currentFlight = null;
     selectedIdx = 0;
 
     // 2) Clear UI fields
@@ -290,12 +544,25 @@ function resetToWelcome() {
     set(refs.loc, '—');
     set(refs.alt, '—');
     set(refs.tilt, '—');
+    set(refs.phase, '—');
+    set(refs.flown, '—');
+    set(refs.remaining, '—');
+    if (dom.totalDistance) dom.totalDistance.textContent = '—';
+    if (dom.routeEfficiency) dom.routeEfficiency.textContent = '—';
     if (dom.infoFlightTime) dom.infoFlightTime.textContent = '—';
     set(refs.takeoffActual, '—');
     set(refs.landingActual, '—');
+    if (dom.infoOrigin) dom.infoOrigin.textContent = '—';
+    if (dom.infoDestination) dom.infoDestination.textContent = '—';
 
     if (dom.avgSpeed) dom.avgSpeed.textContent = '—';
     if (dom.maxSpeed) dom.maxSpeed.textContent = '—';
+    if (dom.infoGaps) dom.infoGaps.textContent = '—';
+    if (dom.infoEvents) dom.infoEvents.textContent = '—';
+    if (dom.legRow) dom.legRow.classList.add('hidden');
+    if (dom.importReport) dom.importReport.classList.add('hidden');
+    renderViewBreadcrumbs();
+    updatePlaybackBar();
 
     // 3) Clear canvases and overlays
     if (trail) { trail.clear(); }
@@ -305,13 +572,14 @@ function resetToWelcome() {
 
     // 4) Refresh mini canvases (they’ll draw empty state)
     if (minimap) minimap.refresh();
-    if (speedChart) speedChart.refresh();
+    refreshMetricCharts();
 
     // 5) Swap screens and reset file input so the same file can be re-chosen
     if (dom.welcome)   dom.welcome.classList.remove('hidden');
     if (dom.dashboard) dom.dashboard.classList.add('hidden');
     if (dom.dropZone)  dom.dropZone.classList.remove('hover');
     if (dom.csvInput)  dom.csvInput.value = '';
+    clearLocationHash();
 }
 
 function splitCSVLine(line) {
@@ -349,62 +617,321 @@ function unquote(s) {
     return s;
 }
 
-function parseFromCSVText(text) {
-    // Reset all global data holders and ranges before parsing new data
-    resetDataHolders();
-    if (!text) return; // empty input guard
-
-    // Split the input text into lines, removing any empty lines
-    const lines = text.split(/\r?\n/).filter(l => l.trim().length); // /\r?\n/ matches \n (Unix-style line endings) or \r\n (Windows-style).
-    if (!lines.length) return; // empty input guard
-
-    // Parse the header row and normalize header names
-    const headers = splitCSVLine(lines[0]).map(h => h.trim());
-    const findIdx = (name) => headers.findIndex(h => h.toLowerCase() === name.toLowerCase());
-    const iPos = findIdx('Position');    // "lat,lon"
-    const iAlt = findIdx('Altitude');    // altitude in feet
-    const iSpd = findIdx('Speed');       // speed in knots
-    const iHdg = findIdx('Direction');   // heading in degrees
-    const iUtc = findIdx('UTC');         // UTC string timestamp
-    const iTs  = findIdx('Timestamp');   // Unix timestamp (seconds)
-    const iCallsign = findIdx('Callsign'); // flight callsign
+// ---- Column mapping & schema auto-detection ----
+// Header aliases for each internal field. Headers are normalized (lower-case,
+// non-alphanumerics collapsed to '_') before matching, and unit suffixes such as
+// "_ft", "_m", "(km/h)" are stripped and kept as a unit hint.
+const CSV_FIELD_ALIASES = {
+    position: ['position', 'latlon', 'lat_lon', 'coords', 'coordinates', 'location'],
+    lat:      ['lat', 'latitude'],
+    lon:      ['lon', 'lng', 'long', 'longitude'],
+    alt:      ['altitude', 'alt', 'alt_baro', 'alt_geom', 'baro_altitude', 'baroaltitude', 'geo_altitude', 'geoaltitude', 'elevation', 'ele', 'height'],
+    spd:      ['speed', 'gs', 'ground_speed', 'groundspeed', 'spd', 'velocity'],
+    hdg:      ['direction', 'heading', 'hdg', 'track', 'true_track', 'course', 'cog', 'trk'],
+    time:     ['timestamp', 'time', 'ts', 'epoch', 'unix_time', 'unixtime', 'datetime', 'date_time', 'time_utc', 'utc'],
+    utc:      ['utc', 'time_utc', 'datetime', 'date_time'],
+    callsign: ['callsign', 'call_sign', 'flight', 'ident', 'flight_id']
+};
+
+// Headers that imply SI units even without an explicit suffix (OpenSky, GPX conventions)
+const CSV_METRIC_HEADERS = {
+    alt: ['baro_altitude', 'baroaltitude', 'geo_altitude', 'geoaltitude', 'elevation', 'ele'],
+    spd: ['velocity']
+};
+
+// Unit suffix tokens recognised in headers → internal unit ids
+const CSV_UNIT_TOKENS = {
+    ft: 'ft', feet: 'ft', m: 'm', meters: 'm', metres: 'm',
+    kt: 'kt', kts: 'kt', knots: 'kt', kmh: 'kmh', km_h: 'kmh', kph: 'kmh', ms: 'ms', m_s: 'ms', mps: 'ms', mph: 'mph',
+    deg: 'deg'
+};
+
+// Conversions into the internal row model (feet, knots)
+const M_TO_FT = 3.28084;
+const SPEED_TO_KT = { kt: 1, kmh: 0.539957, ms: 1.943844, mph: 0.868976 };
+
+// Fields the rosette cannot be built without. Speed and heading are optional:
+// when missing they are derived from consecutive positions.
+const CSV_REQUIRED_FIELDS = ['alt', 'time'];
+
+// Split a raw header into { name, unit }, e.g. "Altitude (m)" → { name: 'altitude', unit: 'm' }
+function normalizeHeader(raw) {
+    let s = String(raw || '').trim().toLowerCase();
+    let unit = null;
+
+    // Units in brackets: "speed (km/h)", "alt [m]"
+    const bracket = s.match(/[([]\s*([a-z/]+)\s*[)\]]/);
+    if (bracket) {
+        const tok = bracket[1].replace(/\//g, '_');
+        if (CSV_UNIT_TOKENS[tok]) unit = CSV_UNIT_TOKENS[tok];
+        s = s.replace(bracket[0], '');
+    }
+
+    let name = s.replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+    // Units as trailing tokens: "alt_m", "speed_kmh", "speed_m_s"
+    if (!unit) {
+        for (const tok of Object.keys(CSV_UNIT_TOKENS).sort((a, b) => b.length - a.length)) {
+            if (name.endsWith('_' + tok) && name.length > tok.length + 1) {
+                unit = CSV_UNIT_TOKENS[tok];
+                name = name.slice(0, -(tok.length + 1));
+                break;
+            }
+        }
+    }
+    return { name, unit };
+}
+
+// Try to resolve every internal field to a column index, plus the units of
+// altitude/speed and the time encoding. Columns that cannot be resolved stay -1.
+function detectCsvSchema(headers, sampleRows = []) {
+    const norm = headers.map(normalizeHeader);
+    const cols = { position: -1, lat: -1, lon: -1, alt: -1, spd: -1, hdg: -1, time: -1, utc: -1, callsign: -1 };
+    const taken = new Set();
+
+    // Aliases are listed in preference order, so the first alias that matches wins
+    const pick = (field) => {
+        for (const alias of CSV_FIELD_ALIASES[field]) {
+            const i = norm.findIndex((h, idx) => h.name === alias && !taken.has(idx));
+            if (i >= 0) return i;
+        }
+        return -1;
+    };
+
+    for (const field of ['position', 'lat', 'lon', 'alt', 'spd', 'hdg', 'callsign']) {
+        cols[field] = pick(field);
+        if (cols[field] >= 0) taken.add(cols[field]);
+    }
+    // Prefer a numeric epoch column for timing and keep a separate UTC string column when both exist
+    cols.time = pick('time');
+    if (cols.time >= 0) taken.add(cols.time);
+    cols.utc = pick('utc');
+    if (cols.utc < 0 && cols.time >= 0 && !isNumericColumn(sampleRows, cols.time)) cols.utc = cols.time;
+
+    // A single "lat,lon" column is only useful when separate lat/lon columns are absent
+    if (cols.lat >= 0 && cols.lon >= 0) cols.position = -1;
+
+    const units = {
+        alt: detectColumnUnit(norm, cols.alt, 'alt', 'ft'),
+        spd: detectColumnUnit(norm, cols.spd, 'spd', 'kt'),
+        time: detectTimeEncoding(sampleRows, cols.time)
+    };
+    return { cols, units };
+}
+
+function detectColumnUnit(norm, idx, field, fallback) {
+    if (idx < 0) return fallback;
+    const h = norm[idx];
+    if (h.unit && (field !== 'alt' || h.unit === 'ft' || h.unit === 'm')) return h.unit;
+    if (CSV_METRIC_HEADERS[field].includes(h.name)) return field === 'alt' ? 'm' : 'ms';
+    return fallback;
+}
+
+function isNumericColumn(sampleRows, idx) {
+    const vals = sampleRows.map(c => unquote(c[idx] || '')).filter(v => v.length);
+    return vals.length > 0 && vals.every(v => Number.isFinite(Number(v)));
+}
+
+// 'epoch-s' | 'epoch-ms' | 'iso'. Epoch values above 1e11 can only be milliseconds
+// (1e11 seconds is year 5138).
+function detectTimeEncoding(sampleRows, idx) {
+    if (idx < 0) return 'epoch-s';
+    if (!isNumericColumn(sampleRows, idx)) return 'iso';
+    const first = Number(unquote(sampleRows.find(c => unquote(c[idx] || '').length)[idx]));
+    return Math.abs(first) > 1e11 ? 'epoch-ms' : 'epoch-s';
+}
+
+function isCsvSchemaComplete(schema) {
+    const c = schema.cols;
+    const hasPos = c.position >= 0 || (c.lat >= 0 && c.lon >= 0);
+    return hasPos && CSV_REQUIRED_FIELDS.every(f => c[f] >= 0);
+}
+
+function parseTimeValue(raw, encoding) {
+    const s = unquote(raw || '');
+    if (!s) return NaN;
+    if (encoding === 'iso') return parseUTCtoMs(s);
+    const n = Number(s);
+    if (!Number.isFinite(n)) return parseUTCtoMs(s);
+    return encoding === 'epoch-ms' ? n : n * 1000;
+}
+
+// Read the header line and the first data lines of a CSV so the schema can be detected/edited.
+function readCsvHeader(text, sampleSize = 20) {
+    const lines = String(text || '').split(/\r?\n/).filter(l => l.trim().length);
+    if (!lines.length) return { headers: [], sampleRows: [] };
+    const headers = splitCSVLine(lines[0]).map(h => unquote(h));
+    const sampleRows = lines.slice(1, 1 + sampleSize).map(splitCSVLine);
+    return { headers, sampleRows };
+}
+
+// Column mapping dialog, shown when the required fields cannot be resolved automatically.
+// Resolves with the edited schema, or null if the user cancels.
+function openMappingDialog(headers, schema) {
+    const dlg = dom.mappingDialog;
+    if (!dlg) return Promise.resolve(null);
+
+    const fields = [
+        { key: 'position', label: 'Position (lat,lon)' },
+        { key: 'lat',      label: 'Latitude' },
+        { key: 'lon',      label: 'Longitude' },
+        { key: 'alt',      label: 'Altitude' },
+        { key: 'spd',      label: 'Ground Speed' },
+        { key: 'hdg',      label: 'Heading' },
+        { key: 'time',     label: 'Time' },
+        { key: 'callsign', label: 'Callsign' }
+    ];
+    const unitOptions = {
+        alt:  [['ft', 'feet'], ['m', 'metres']],
+        spd:  [['kt', 'knots'], ['kmh', 'km/h'], ['ms', 'm/s'], ['mph', 'mph']],
+        time: [['epoch-s', 'Unix seconds'], ['epoch-ms', 'Unix milliseconds'], ['iso', 'ISO 8601 text']]
+    };
+
+    const esc = (s) => String(s).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+    const colSelect = (key) => {
+        const opts = ['<option value="-1">— none —</option>']
+            .concat(headers.map((h, i) => `<option value="${i}"${schema.cols[key] === i ? ' selected' : ''}>${esc(h)}</option>`));
+        return `<select data-col="${key}">${opts.join('')}</select>`;
+    };
+    const unitSelect = (key) => {
+        if (!unitOptions[key]) return '';
+        const opts = unitOptions[key].map(([v, l]) => `<option value="${v}"${schema.units[key] === v ? ' selected' : ''}>${l}</option>`);
+        return `<select data-unit="${key}">${opts.join('')}</select>`;
+    };
+
+    dom.mappingFields.innerHTML = fields.map(f =>
+        `<div class="mapping-row"><span class="k">${f.label}</span>${colSelect(f.key)}${unitSelect(f.key)}</div>`
+    ).join('');
+
+    return new Promise((resolve) => {
+        const readSchema = () => {
+            const next = { cols: { ...schema.cols }, units: { ...schema.units } };
+            dom.mappingFields.querySelectorAll('select[data-col]').forEach(sel => { next.cols[sel.dataset.col] = Number(sel.value); });
+            dom.mappingFields.querySelectorAll('select[data-unit]').forEach(sel => { next.units[sel.dataset.unit] = sel.value; });
+            if (next.cols.utc === schema.cols.time) next.cols.utc = next.units.time === 'iso' ? next.cols.time : -1;
+            return next;
+        };
+        const validate = () => {
+            const ok = isCsvSchemaComplete(readSchema());
+            dom.mappingConfirm.disabled = !ok;
+            dom.mappingError.textContent = ok ? '' : 'Map a position (or latitude + longitude), an altitude and a time column.';
+        };
+        const finish = (result) => {
+            dom.mappingFields.removeEventListener('change', validate);
+            dom.mappingConfirm.onclick = null;
+            dom.mappingCancel.onclick = null;
+            dlg.onclose = null;
+            if (dlg.open) dlg.close();
+            resolve(result);
+        };
+
+        dom.mappingFields.addEventListener('change', validate);
+        dom.mappingConfirm.onclick = (ev) => { ev.preventDefault(); finish(readSchema()); };
+        dom.mappingCancel.onclick  = (ev) => { ev.preventDefault(); finish(null); };
+        dlg.onclose = () => finish(null); // Esc key
+        validate();
+        dlg.showModal();
+    });
+}
+
+// Parse CSV text into the internal row model. Returns { rows, callsign, issues } without
+// touching global state; applyParsedFlight() loads the result into the dashboard.
+function parseFromCSVText(text, schema) {
+    const out = [];
+    const issues = []; // rows skipped while parsing, see validateParsedFlight()
+    if (!text) return { rows: out, callsign: '', issues }; // empty input guard
+
+    // Split the input text into lines, removing any empty lines but remembering
+    // their 1-based line numbers in the file for the import report
+    const lines = [], lineNos = [];
+    text.split(/\r?\n/).forEach((l, i) => { // /\r?\n/ matches \n (Unix-style line endings) or \r\n (Windows-style).
+        if (l.trim().length) { lines.push(l); lineNos.push(i + 1); }
+    });
+    if (!lines.length) return { rows: out, callsign: '', issues }; // empty input guard
+
+    // Resolve columns from the header row unless an explicit mapping was supplied
+    if (!schema) {
+        const { headers, sampleRows } = readCsvHeader(text);
+        schema = detectCsvSchema(headers, sampleRows);
+    }
+    const { cols, units } = schema;
+    const altFactor = units.alt === 'm' ? M_TO_FT : 1;       // → feet
+    const spdFactor = SPEED_TO_KT[units.spd] || 1;          // → knots
+
+    if (cols.spd < 0) issues.push({ type: 'missing-column', message: 'No speed column: ground speed derived from positions' });
+    if (cols.hdg < 0) issues.push({ type: 'missing-column', message: 'No heading column: track derived from positions' });
 
     // Extract callsign once from the first available data row
-    let callsignVal = (iCallsign >= 0 && lines.length > 1)
-        ? unquote(splitCSVLine(lines[1])[iCallsign] || '')
+    let callsignVal = (cols.callsign >= 0 && lines.length > 1)
+        ? unquote(splitCSVLine(lines[1])[cols.callsign] || '')
         : '';
 
+    // Empty cells must stay NaN (Number('') would silently give 0)
+    const num = (c, i) => {
+        if (i < 0) return NaN;
+        const s = unquote(c[i] || '');
+        return s.length ? Number(s) : NaN;
+    };
+
     // Iterate over each CSV data line (skip header row)
     for (let line = 1; line < lines.length; line++) {
-        const cols = splitCSVLine(lines[line]);
-        if (!cols.length) continue;
+        const c = splitCSVLine(lines[line]);
+        const srcLine = lineNos[line];
+        if (!c.length) continue;
 
         // --- Position parsing (latitude, longitude) ---
-        const posRaw = (iPos >= 0) ? cols[iPos] : '';
-        const pos = unquote(posRaw);
-        if (!pos) continue; //If this row pos is empty/falsy, skip the rest of this loop and move on to the next row
-        const [latStr, lonStr] = pos.split(',');
-        const lat = Number(latStr);
-        const lon = Number(lonStr);
-
-        // --- Altitude, speed, and heading parsing ---
-        const alt = (iAlt >= 0) ? Number(cols[iAlt]) : NaN;
-        const spd = (iSpd >= 0) ? Number(cols[iSpd]) : NaN;
-        const hdg = (iHdg >= 0) ? Number(cols[iHdg]) : NaN;
-
-        // --- Time parsing: use Unix Timestamp only (seconds → milliseconds) ---
-        let timestampMs = NaN;
-        if (iTs >= 0) {
-            const ts = Number(cols[iTs]); // Unix epoch seconds
-            if (Number.isFinite(ts)) timestampMs = ts * 1000; // convert to ms
+        let lat, lon;
+        if (cols.position >= 0) {
+            const pos = unquote(c[cols.position] || '');
+            if (!pos) { //If this row pos is empty/falsy, skip the rest of this loop and move on to the next row
+                issues.push({ type: 'missing-position', line: srcLine });
+                continue;
+            }
+            const [latStr, lonStr] = pos.split(',');
+            lat = (latStr || '').trim() ? Number(latStr) : NaN;
+            lon = (lonStr || '').trim() ? Number(lonStr) : NaN;
+        } else {
+            lat = num(c, cols.lat);
+            lon = num(c, cols.lon);
+        }
+        // A single coordinate is as unusable as none
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+            issues.push({ type: 'missing-position', line: srcLine });
+            continue;
         }
+
+        // --- Altitude, speed, and heading parsing (converted to ft / kt) ---
+        const alt = num(c, cols.alt) * altFactor;
+        const spd = num(c, cols.spd) * spdFactor;
+        const hdg = num(c, cols.hdg);
+
+        // --- Time parsing: epoch seconds, epoch milliseconds or ISO strings → milliseconds ---
+        const timestampMs = (cols.time >= 0) ? parseTimeValue(c[cols.time], units.time) : NaN;
+
         // Keep the raw UTC string (unparsed) only for potential display/debug; not used for timing
-        const utc = (iUtc >= 0 && cols[iUtc]) ? unquote(cols[iUtc]) : '';
+        const utc = (cols.utc >= 0 && c[cols.utc]) ? unquote(c[cols.utc]) : '';
 
         // --- Data structure creation ---
-        rows.push({ lat, lon, alt, spd, hdg, utc, timestampMs });
+        out.push({ lat, lon, alt, spd, hdg, utc, timestampMs, srcLine });
+    }
 
-        // --- Bounds and ranges update ---
+    // Speed/heading columns are optional: derive them from the track when absent
+    if (cols.spd < 0 || cols.hdg < 0) fillMissingKinematics(out, { spd: cols.spd < 0, hdg: cols.hdg < 0 });
+
+    return { rows: out, callsign: callsignVal, issues };
+}
+
+// Load a parsed flight ({ rows, callsign }) from any importer into the global data holders.
+function applyParsedFlight(parsed) {
+    // Reset all global data holders and ranges before loading new data
+    resetDataHolders();
+    currentFlight = parsed;
+    measuredRows = parsed.rows;
+    gaps = detectGaps(measuredRows);
+    rows = reconstructGaps(measuredRows, gaps, gapFillMode);
+
+    // --- Bounds and ranges update ---
+    for (const { lat, lon, alt, spd } of rows) {
         if (Number.isFinite(lat)) {
             bounds.latMin = min(bounds.latMin, lat);
             bounds.latMax = max(bounds.latMax, lat);
@@ -428,226 +955,1239 @@ function parseFromCSVText(text) {
 
     // --- Callsign display in DOM ---
     const csEl = dom.infoCallsign;
-    if (csEl) csEl.textContent = callsignVal || '—';
+    if (csEl) csEl.textContent = parsed.callsign || '—';
 }
 
-// ====================== [3] POST-PARSE FINALIZATION (DERIVED DATA) ==================
+// Derive ground speed (kt) and/or track (deg) from consecutive positions for
+// sources that do not record them. Neighbours are taken in time order, not file order:
+// the rows themselves are only sorted after the import.
+function fillMissingKinematics(rowsIn, which) {
+    const list = rowsIn.filter(r => Number.isFinite(r.timestampMs)).sort((a, b) => a.timestampMs - b.timestampMs);
+    for (let i = 0; i < list.length; i++) {
+        const a = list[Math.max(0, i - 1)];
+        const b = list[Math.min(list.length - 1, i + 1)];
+        if (a === b) continue;
+        const dtH = (b.timestampMs - a.timestampMs) / 3600000;
+        if (which.spd && dtH > 0) {
+            list[i].spd = haversineNm(a.lat, a.lon, b.lat, b.lon) / dtH;
+        }
+        if (which.hdg) {
+            list[i].hdg = initialBearingDeg(a.lat, a.lon, b.lat, b.lon);
+        }
+    }
+}
 
-function finalizeAfterRowsParsed() {
-    const validTimes = rows.filter(r => Number.isFinite(r.timestampMs));
-    if (validTimes.length) {
-        startTimestampMs = validTimes[0].timestampMs;
-        endTimestampMs   = validTimes[validTimes.length - 1].timestampMs;
+// ---- Importer registry ----
+// Every importer turns a file's text into { rows, callsign } using the same row
+// model as the CSV parser: { lat, lon, alt (ft), spd (kt), hdg (deg), utc, timestampMs }.
+//   id          unique key
+//   label       human readable format name
+//   extensions  lower-case file extensions handled by this importer
+//   sniff(text) true when the content looks like this format
+//   prepare(text, fileName) optional async step returning parse options (null = cancelled)
+//   parse(text, options)    returns { rows, callsign }
+const IMPORTERS = [];
+
+function registerImporter(importer) {
+    IMPORTERS.push(importer);
+}
+
+// Pick an importer by file extension, falling back to content sniffing when the
+// extension is unknown or its importer does not recognise the content.
+function pickImporter(fileName, text) {
+    const name = String(fileName || '').toLowerCase();
+    const byExt = IMPORTERS.find(imp => imp.extensions.some(ext => name.endsWith(ext)));
+    if (byExt && byExt.sniff(text)) return byExt;
+    return IMPORTERS.find(imp => imp.sniff(text)) || null;
+}
+
+function supportedExtensions() {
+    return IMPORTERS.flatMap(imp => imp.extensions);
+}
+
+// Import pipeline shared by the file picker, drag & drop and the sample gallery:
+// pick an importer, run its prepare step, parse, validate, then swap to the dashboard.
+// `meta` is merged into the flight (e.g. { sampleFile } for bundled samples). Resolves true when the flight was loaded.
+async function loadFlightText(text, fileName, meta = {}) {
+    // Pick a parser by extension / content sniffing
+    const importer = pickImporter(fileName, text);
+    if (!importer) {
+        alert(`Unsupported file. Supported formats: ${supportedExtensions().join(', ')}`);
+        return false;
     }
 
-    // Takeoff detection: find the first row that has a valid timestamp (timestampMs)
-    // and an altitude strictly greater than zero (we treat this as "airborne").
-    let takeoffIdx = -1, landingIdx = -1; // sentinel: -1 means "not found yet"
-    for (let i = 0; i < rows.length; i++) { // scan from the start of the dataset
-        const r = rows[i]; // current row
-        // Only accept rows that have both a finite timestamp and altitude,
-        // and when altitude becomes > 0.
-        if (Number.isFinite(r.timestampMs) && Number.isFinite(r.alt) && r.alt > 0) {
-            takeoffIdx = i; // remember the index where flight becomes airborne
-            break;          // stop at the first occurrence
-        }
-    }
-
-    // If a valid takeoff index is found, compute derived takeoff/landing times.
-    if (takeoffIdx >= 0) {
-        // Store takeoff time as milliseconds since epoch and also as a formatted UTC string.
-        actualTakeOffMs = rows[takeoffIdx].timestampMs;
-        actualTakeOffTime = formatUTC(actualTakeOffMs);
-
-        // Landing detection: starting *after* takeoff, look for the first transition
-        // where altitude goes from a non-zero value back to exactly 0. This marks
-        // touchdown. Also require a valid timestamp on the landing row.
-        for (let i = takeoffIdx + 1; i < rows.length; i++) { // scan forward from takeoff
-            const prev = rows[i - 1]; // previous row (altitude before)
-            const cur  = rows[i];     // current row  (altitude after)
-
-            // Guard against missing values with Number.isFinite.
-            // We detect the edge: prev.alt != 0  →  cur.alt === 0 (touchdown),
-            // and ensure cur.timestampMs exists so we can timestamp the landing.
-            if (
-                Number.isFinite(prev?.alt) && Number.isFinite(cur?.alt) &&
-                prev.alt !== 0 && cur.alt === 0 && Number.isFinite(cur.timestampMs)
-            ) {
-                actualLandingMs = cur.timestampMs;               // landing time in ms since epoch
-                actualLandingTime = formatUTC(actualLandingMs); // formatted UTC string
-                landingIdx = i;
-                break; // stop at the first detected landing
-            }
-        }
+    // Optional format-specific step (e.g. CSV column mapping); null means cancelled
+    const options = importer.prepare ? await importer.prepare(text, fileName) : undefined;
+    if (options === null) {
+        if (dom.csvInput) dom.csvInput.value = '';
+        return false;
     }
 
-    // --- Total flight time (airborne duration) ---
-    if (
-        Number.isFinite(actualTakeOffMs) &&
-        Number.isFinite(actualLandingMs) &&
-        actualLandingMs > actualTakeOffMs
-    ) {
-        if (dom.infoFlightTime) {
-            // Use HH:MM:SS via formatter
-            dom.infoFlightTime.textContent = formatHMS(actualLandingMs - actualTakeOffMs);
-        }
+    let parsed;
+    try {
+        parsed = importer.parse(text, options);
+    } catch (err) {
+        alert(`Could not read ${fileName} as ${importer.label}: ${err.message}`);
+        return false;
+    }
+    // Validation pass: drop unusable rows, optionally sort/dedupe, collect the report
+    parsed = validateParsedFlight(parsed, importOptions, fileName);
+    if (!parsed.rows.length) {
+        alert(`No usable track points found in ${fileName}.`);
+        return false;
+    }
+
+    Object.assign(parsed, meta);
+    showParsedFlight(parsed);
+    // In the background; the library list refreshes when done. Bundled samples are one click away already
+    if (!parsed.sampleFile) saveFlightToLibrary(parsed);
+    return true;
+}
+
+// Load an already validated flight ({ rows, callsign, report }) and swap to the dashboard.
+// Also used to reopen flights from the library without parsing them again.
+function showParsedFlight(parsed) {
+    applyParsedFlight(parsed);
+    renderImportReport(parsed.report);
+
+    if (dom.welcome) dom.welcome.classList.add('hidden');
+    if (dom.dashboard) dom.dashboard.classList.remove('hidden');
+
+    if (!minimap) {
+        createMinimap();
     } else {
-        if (dom.infoFlightTime) dom.infoFlightTime.textContent = '—';
+        minimap.fitView(); // new flight: drop any zoom/pan from the previous one
     }
 
-    // --- Average speed during flight (altitude > 0) ---
-    (function updateAvgSpeedDuringFlight(){ // IIFE: keep vars local
-        let iStart = takeoffIdx; // first airborne row
-        let iEnd   = landingIdx; // first row where we touched down (alt returns to 0)
+    rebuildMetricCharts();
+    applyPendingViewState();
+}
+
+function parseXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) throw new Error('invalid XML');
+    return doc;
+}
 
-        if (iStart < 0) {
-            // As a fallback, use the first row with a finite timestamp
-            for (let i = 0; i < rows.length; i++) {
-                if (Number.isFinite(rows[i]?.timestampMs)) {
-                    iStart = i;
-                    break;
-                }
+// Namespace-agnostic helpers: GPX/KML files use default and prefixed namespaces inconsistently
+function xmlAll(node, localName) {
+    return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+function xmlText(node, localName) {
+    const el = node.getElementsByTagNameNS('*', localName)[0];
+    return el ? el.textContent.trim() : '';
+}
+
+// Rows built from per-point times only: fill the utc string and derive missing speed/track.
+function finishImportedRows(list, which) {
+    for (const r of list) {
+        if (!r.utc && Number.isFinite(r.timestampMs)) r.utc = new Date(r.timestampMs).toISOString();
+    }
+    if (which && (which.spd || which.hdg)) fillMissingKinematics(list, which);
+    return list;
+}
+
+// Flightradar-style CSV (and other CSVs via column mapping)
+registerImporter({
+    id: 'csv',
+    label: 'CSV',
+    extensions: ['.csv', '.txt'],
+    sniff(text) {
+        const first = String(text).split(/\r?\n/, 1)[0] || '';
+        return first.includes(',') && !/^\s*[<{[]/.test(first);
+    },
+    async prepare(text) {
+        // Resolve the column mapping; ask the user when required fields are missing
+        const { headers, sampleRows } = readCsvHeader(text);
+        const schema = detectCsvSchema(headers, sampleRows);
+        return isCsvSchemaComplete(schema) ? schema : openMappingDialog(headers, schema);
+    },
+    parse(text, schema) {
+        return parseFromCSVText(text, schema);
+    }
+});
+
+// GPX tracks: <trkpt lat lon><ele>m</ele><time>ISO</time></trkpt>
+registerImporter({
+    id: 'gpx',
+    label: 'GPX',
+    extensions: ['.gpx'],
+    sniff: (text) => /<gpx[\s>]/.test(String(text).slice(0, 2000)),
+    parse(text) {
+        const doc = parseXml(text);
+        let pts = xmlAll(doc, 'trkpt');
+        if (!pts.length) pts = xmlAll(doc, 'rtept');
+        let hasSpd = false, hasHdg = false;
+        const list = pts.map(pt => {
+            const ele = Number(xmlText(pt, 'ele') || NaN);
+            const speedMs = Number(xmlText(pt, 'speed') || NaN);   // GPX 1.0 / gpxtpx extension, m/s
+            const course = Number(xmlText(pt, 'course') || NaN);
+            hasSpd = hasSpd || Number.isFinite(speedMs);
+            hasHdg = hasHdg || Number.isFinite(course);
+            return {
+                lat: Number(pt.getAttribute('lat')),
+                lon: Number(pt.getAttribute('lon')),
+                alt: ele * M_TO_FT,
+                spd: speedMs * SPEED_TO_KT.ms,
+                hdg: course,
+                utc: xmlText(pt, 'time'),
+                timestampMs: parseUTCtoMs(xmlText(pt, 'time'))
+            };
+        });
+        const trk = xmlAll(doc, 'trk')[0];
+        const callsign = (trk && xmlText(trk, 'name')) || xmlText(doc, 'name');
+        return { rows: finishImportedRows(list, { spd: !hasSpd, hdg: !hasHdg }), callsign };
+    }
+});
+
+// KML <gx:Track>: parallel <when> and <gx:coord>lon lat alt(m)</gx:coord> lists
+registerImporter({
+    id: 'kml',
+    label: 'KML',
+    extensions: ['.kml'],
+    sniff: (text) => /<kml[\s>]/.test(String(text).slice(0, 2000)),
+    parse(text) {
+        const doc = parseXml(text);
+        const list = [];
+        let callsign = '';
+        for (const track of xmlAll(doc, 'Track')) {
+            const whens  = xmlAll(track, 'when').map(el => el.textContent.trim());
+            const coords = xmlAll(track, 'coord').map(el => el.textContent.trim().split(/\s+/).map(Number));
+            const n = Math.min(whens.length, coords.length);
+            for (let i = 0; i < n; i++) {
+                const [lon, lat, altM] = coords[i];
+                list.push({
+                    lat, lon,
+                    alt: Number.isFinite(altM) ? altM * M_TO_FT : NaN,
+                    spd: NaN, hdg: NaN,
+                    utc: whens[i],
+                    timestampMs: parseUTCtoMs(whens[i])
+                });
             }
+            const placemark = track.closest ? track.closest('Placemark') : null;
+            if (!callsign && placemark) callsign = xmlText(placemark, 'name');
         }
-        if (iEnd <= iStart) {
-            // Fallback: last row with a finite timestamp
-            for (let i = rows.length - 1; i >= 0; i--) {
-                if (Number.isFinite(rows[i]?.timestampMs)) {
-                    iEnd = i;
-                    break;
-                }
-            }
+        list.sort((a, b) => a.timestampMs - b.timestampMs);
+        return { rows: finishImportedRows(list, { spd: true, hdg: true }), callsign: callsign || xmlText(doc, 'name') };
+    }
+});
+
+// ADS-B Exchange / readsb trace files and OpenSky /tracks JSON
+registerImporter({
+    id: 'adsb-json',
+    label: 'ADS-B JSON',
+    extensions: ['.json'],
+    sniff(text) {
+        const head = String(text).slice(0, 4000);
+        return /^\s*\{/.test(head) && /"(trace|path)"\s*:/.test(head);
+    },
+    parse(text) {
+        const data = JSON.parse(text);
+
+        // ADS-B Exchange trace: { icao, timestamp, trace: [[dtSec, lat, lon, alt|"ground", gs, track, flags, vrate, aircraft, ...]] }
+        if (Array.isArray(data.trace)) {
+            const base = Number(data.timestamp) || 0;
+            let callsign = '';
+            const list = data.trace.map(p => {
+                const onGround = p[3] === 'ground';
+                if (!callsign && p[8] && p[8].flight) callsign = String(p[8].flight).trim();
+                return {
+                    lat: Number(p[1]),
+                    lon: Number(p[2]),
+                    alt: onGround ? 0 : (p[3] === null ? NaN : Number(p[3])),
+                    spd: p[4] === null ? NaN : Number(p[4]),
+                    hdg: p[5] === null ? NaN : Number(p[5]),
+                    utc: '',
+                    timestampMs: (base + Number(p[0])) * 1000
+                };
+            });
+            return { rows: finishImportedRows(list), callsign: callsign || data.r || data.icao || '' };
         }
 
-        // We need at least two rows to form one segment
-        if (!(iStart >= 0) || !(iEnd > iStart)) {
-            dom.avgSpeed.textContent = '—';
-            return;
+        // OpenSky track: { icao24, callsign, path: [[time, lat, lon, baro_altitude(m), true_track, on_ground]] }
+        if (Array.isArray(data.path)) {
+            const list = data.path.map(p => ({
+                lat: Number(p[1]),
+                lon: Number(p[2]),
+                alt: p[5] ? 0 : (p[3] === null ? NaN : Number(p[3]) * M_TO_FT),
+                spd: NaN,
+                hdg: p[4] === null ? NaN : Number(p[4]),
+                utc: '',
+                timestampMs: Number(p[0]) * 1000
+            }));
+            return { rows: finishImportedRows(list, { spd: true }), callsign: String(data.callsign || data.icao24 || '').trim() };
         }
 
-        let weightedSum = 0; // Σ( segmentAvgSpeed * dt )
-        let totalDt = 0;     // Σ( dt ) in seconds
+        throw new Error('no "trace" or "path" array found');
+    }
+});
+
+// ---- Import validation & report ----
+// Issue catalogue: `dropped` marks problems that remove the row from the visualisation.
+const IMPORT_ISSUE_TYPES = {
+    'missing-column':   { label: 'Missing columns',                dropped: false },
+    'missing-position': { label: 'Rows without position',          dropped: true  },
+    'bad-time':         { label: 'Unparseable timestamps',         dropped: true  },
+    'bad-coordinate':   { label: 'Impossible coordinates',         dropped: true  },
+    'bad-altitude':     { label: 'Unparseable altitudes',          dropped: true  },
+    'bad-number':       { label: 'Unparseable speeds/headings',    dropped: false },
+    'duplicate-time':   { label: 'Duplicate timestamps',           dropped: true  },
+    'out-of-order':     { label: 'Out-of-order timestamps',        dropped: false },
+    'speed-spike':      { label: 'Speed spikes',                   dropped: false },
+    'altitude-spike':   { label: 'Altitude spikes',                dropped: false }
+};
 
-        // Iterate only the segment range: [takeoff, landing]
-        for (let i = iStart; i < iEnd; i++) {
-            const a = rows[i];
-            const b = rows[i + 1];
-            if (!a || !b) continue;
-            if (!Number.isFinite(a.timestampMs) || !Number.isFinite(b.timestampMs)) continue;
-            const dt = (b.timestampMs - a.timestampMs) / 1000; // seconds
-            if (!(dt > 0)) continue;
+// Thresholds for flagging isolated single-sample spikes
+const SPIKE_SPEED_KT = 120;       // jump vs. both neighbours (knots)
+const SPIKE_VRATE_FPM = 12000;    // implied vertical rate vs. both neighbours (ft/min)
 
-            // Only count segments that are fully in-flight (airborne at both ends)
-            if (!Number.isFinite(a.alt) || !Number.isFinite(b.alt) || a.alt <= 0 || b.alt <= 0) continue;
+// User choices from the welcome screen (see #opt-sort / #opt-dedupe)
+const importOptions = { sortByTime: true, dropDuplicates: true };
 
-            // Require valid speeds at both segment endpoints (in knots)
-            const sA = Number.isFinite(a.spd) ? a.spd : NaN;
-            const sB = Number.isFinite(b.spd) ? b.spd : NaN;
-            if (!Number.isFinite(sA) || !Number.isFinite(sB)) continue;
+// Validation pass run on every importer's output before it is visualised.
+// Returns a copy of `parsed` with cleaned rows and a structured `report`.
+function validateParsedFlight(parsed, options = importOptions, source = '') {
+    const issues = (parsed.issues || []).slice();
+    const inputCount = parsed.rows.length + issues.filter(it => it.line !== undefined || it.point !== undefined).length;
 
-            const sAvg = 0.5 * (sA + sB); // midpoint average for the segment
-            weightedSum += sAvg * dt;     // time-weighted contribution
-            totalDt += dt;
+    // Keep a reference to the original line (CSV) or point number (other formats) for the report
+    const ref = (r, i) => (r.srcLine ? { line: r.srcLine } : { point: i + 1 });
+    let entries = parsed.rows.map((r, i) => ({ r, ref: ref(r, i) }));
+
+    // 1) Per-row checks
+    entries = entries.filter(({ r, ref }) => {
+        if (!Number.isFinite(r.timestampMs)) {
+            issues.push({ type: 'bad-time', ...ref });
+            return false;
+        }
+        if (!Number.isFinite(r.lat) || !Number.isFinite(r.lon) ||
+            Math.abs(r.lat) > 90 || Math.abs(r.lon) > 180 || (r.lat === 0 && r.lon === 0)) {
+            issues.push({ type: 'bad-coordinate', ...ref, message: `${r.lat}, ${r.lon}` });
+            return false;
         }
+        if (!Number.isFinite(r.alt)) {
+            issues.push({ type: 'bad-altitude', ...ref });
+            return false;
+        }
+        if (!Number.isFinite(r.spd) || !Number.isFinite(r.hdg)) {
+            issues.push({ type: 'bad-number', ...ref, message: !Number.isFinite(r.spd) ? 'speed' : 'heading' });
+        }
+        return true;
+    });
 
-        if (totalDt > 0) {
-            const avgKt = weightedSum / totalDt; // knots
-            dom.avgSpeed.textContent = Math.round(avgKt) + ' kt';
-        } else {
-            dom.avgSpeed.textContent = '—';
+    // 2) Ordering: flag rows that go back in time, optionally sort (stable, so ties keep file order)
+    let latest = -Infinity;
+    let outOfOrder = 0;
+    for (const e of entries) {
+        if (e.r.timestampMs < latest) {
+            outOfOrder++;
+            issues.push({ type: 'out-of-order', ...e.ref });
         }
-    })();
+        latest = Math.max(latest, e.r.timestampMs);
+    }
+    const sorted = outOfOrder > 0 && options.sortByTime;
+    if (sorted) entries.sort((a, b) => a.r.timestampMs - b.r.timestampMs);
+
+    // 3) Duplicates: a timestamp already seen anywhere earlier, optionally dropped (first one wins)
+    const seenMs = new Set();
+    entries = entries.filter((e) => {
+        if (!seenMs.has(e.r.timestampMs)) {
+            seenMs.add(e.r.timestampMs);
+            return true;
+        }
+        issues.push({ type: 'duplicate-time', ...e.ref, dropped: options.dropDuplicates });
+        return !options.dropDuplicates;
+    });
 
-    if (rows.length >= 2) {
-        const start = rows[0];
-        const end   = rows[rows.length - 1];
-        updateTrackDir(start.lat, start.lon, end.lat, end.lon);
+    // 4) Isolated spikes: a sample far from both neighbours in the same direction
+    for (let i = 1; i < entries.length - 1; i++) {
+        const a = entries[i - 1].r, b = entries[i].r, c = entries[i + 1].r;
+        const d1 = b.spd - a.spd, d2 = b.spd - c.spd;
+        if (Math.sign(d1) === Math.sign(d2) && Math.min(Math.abs(d1), Math.abs(d2)) > SPIKE_SPEED_KT) {
+            issues.push({ type: 'speed-spike', ...entries[i].ref, message: formatQuantity('speed', b.spd) });
+        }
+        const dtA = (b.timestampMs - a.timestampMs) / 60000;
+        const dtC = (c.timestampMs - b.timestampMs) / 60000;
+        const vA = dtA > 0 ? (b.alt - a.alt) / dtA : 0;
+        const vC = dtC > 0 ? (b.alt - c.alt) / dtC : 0;
+        if (Math.sign(vA) === Math.sign(vC) && Math.min(Math.abs(vA), Math.abs(vC)) > SPIKE_VRATE_FPM) {
+            issues.push({ type: 'altitude-spike', ...entries[i].ref, message: formatQuantity('altitude', b.alt) });
+        }
     }
-    if (range.altMin === range.altMax) range.altMax = range.altMin + 1;
-    if (range.spdMin === range.spdMax) range.spdMax = range.spdMin + 1;
 
-    // Reset trail & rings layers to fit current canvas and clear previous drawing
-    trail = createGraphics(width, height);
-    trail.colorMode(HSB, 360, 100, 100, 100);
-    trail.clear();
-    ringsLayer = createGraphics(width, height);
-    ringsLayer.colorMode(HSB, 360, 100, 100, 100);
-    ringsLayer.clear();
-    // Mark layers dirty so they will be rendered once in drawRosette()
-    rosetteStaticDirty = true;
-    rosetteTrailDirty  = true;
-    // Ensure speed legend matches current band colors
-    updateSpeedLegend();
-    {
-        const refs = window.infoRefs || {};
-        if (refs.takeoffActual) refs.takeoffActual.innerHTML = actualTakeOffTime || '—';
-        if (refs.landingActual) refs.landingActual.innerHTML = actualLandingTime || '—';
+    const counts = {};
+    for (const it of issues) counts[it.type] = (counts[it.type] || 0) + 1;
+
+    const report = {
+        source,
+        inputRows: inputCount,
+        keptRows: entries.length,
+        sorted,
+        deduped: options.dropDuplicates,
+        counts,
+        issues
+    };
+    return { ...parsed, rows: entries.map(e => e.r), report };
+}
+
+// ====================== [3] POST-PARSE FINALIZATION (DERIVED DATA) ==================
+
+// ---- Coverage gaps ----
+// A gap is a spacing between consecutive measured rows much larger than the feed's
+// usual sampling interval. Gaps are drawn faded/dashed and can optionally be filled
+// with clearly-marked synthetic rows ({ ..., synthetic: true }).
+const GAP_MIN_MS = 5 * 60 * 1000;  // never call anything shorter than 5 min a gap
+const GAP_MEDIAN_FACTOR = 8;       // ...nor anything shorter than 8× the median spacing
+const GAP_FILL_MAX_POINTS = 500;   // cap on synthetic rows per gap
+
+function medianSpacingMs(list) {
+    const dts = [];
+    for (let i = 1; i < list.length; i++) {
+        const dt = list[i].timestampMs - list[i - 1].timestampMs;
+        if (dt > 0) dts.push(dt);
     }
+    if (!dts.length) return 0;
+    dts.sort((a, b) => a - b);
+    return dts[Math.floor(dts.length / 2)];
 }
 
-// =============== [4] ROSETTE GEOMETRY, DRAW LOOP & DRAWING HELPERS ==================
+// Returns [{ i0, startMs, endMs, durationMs }] where i0 is the measured row before the gap.
+function detectGaps(list) {
+    const threshold = Math.max(GAP_MIN_MS, GAP_MEDIAN_FACTOR * medianSpacingMs(list));
+    const out = [];
+    for (let i = 0; i < list.length - 1; i++) {
+        const startMs = list[i].timestampMs, endMs = list[i + 1].timestampMs;
+        if (endMs - startMs > threshold) out.push({ i0: i, startMs, endMs, durationMs: endMs - startMs });
+    }
+    return out;
+}
 
-function draw() {
-    if (!rows.length) {
-        background(0, 0, 8);
-        return;
+// Build the visualised rows from the measured ones: in 'none' mode gap segments are
+// only flagged (row.gapAfter), otherwise synthetic rows are inserted at the median spacing,
+// positioned along a straight lat/lon line ('linear') or the great circle ('great-circle').
+function reconstructGaps(list, gapList, mode) {
+    const byStart = new Map(gapList.map(g => [g.i0, g]));
+    const step = Math.max(10000, medianSpacingMs(list));
+    const out = [];
+    for (let i = 0; i < list.length; i++) {
+        const a = list[i];
+        const gap = byStart.get(i);
+        a.gapAfter = !!gap && mode === 'none';
+        out.push(a);
+        if (!gap || mode === 'none') continue;
+
+        const b = list[i + 1];
+        const n = Math.min(GAP_FILL_MAX_POINTS, Math.floor(gap.durationMs / step));
+        for (let k = 1; k < n; k++) {
+            const t = k / n;
+            const pos = (mode === 'great-circle')
+                ? interpolateGreatCircle(a.lat, a.lon, b.lat, b.lon, t)
+                : { lat: lerp(a.lat, b.lat, t), lon: wrapLon(a.lon + (((b.lon - a.lon + 540) % 360) - 180) * t) };
+            const timestampMs = Math.round(lerp(a.timestampMs, b.timestampMs, t));
+            out.push({
+                lat: pos.lat,
+                lon: pos.lon,
+                alt: lerp(a.alt, b.alt, t),
+                spd: lerp(a.spd, b.spd, t),
+                hdg: (mode === 'great-circle') ? pos.hdg : lerpAngleDeg(a.hdg, b.hdg, t),
+                utc: new Date(timestampMs).toISOString(),
+                timestampMs,
+                synthetic: true
+            });
+        }
     }
-    drawRosette();
+    return out;
 }
 
-// This function computes the coordinates and attributes needed to draw the flight visualization,
-// mapping each row of flight data to a point around a circular path (radius encodes alt).
-function buildRosettePoints() {
-    const altMin = range.altMin, altMax = range.altMax;
-    const center = { x: width * 0.5, y: height * 0.5 };
-    const maxRadius = (min(width, height) / 2) - UI.margin * 2;
-    const varR = maxRadius * 0.6;
-    const baseR = maxRadius - varR;
+// Re-apply the current flight with a different gap reconstruction mode.
+function setGapFillMode(mode) {
+    gapFillMode = mode;
+    if (!currentFlight) return;
+    const selectedMs = rows[selectedIdx] ? rows[selectedIdx].timestampMs : null;
+    const windows = viewStack.concat([{ startMs: viewRange.startMs, endMs: viewRange.endMs }]);
+    applyParsedFlight(currentFlight);
+    if (Number.isFinite(selectedMs)) selectedIdx = indexAtTime(selectedMs);
+    // Stay in the brushed window: the row indices change, the times do not
+    if (windows.length > 1) {
+        const current = windows.pop();
+        viewStack = windows;
+        setViewRange(current.startMs, current.endMs);
+        applyViewRange();
+    }
+    if (minimap) minimap.rebuild();
+    rebuildMetricCharts();
+}
 
-    let pts = [];
-    for (let i = 0; i < rows.length; i++) {
-        const row = rows[i];
-        const t = timeFracForRow(row);
-        const angle = HALF_PI + t * TWO_PI;
-        const radius = baseR + map(row.alt, altMin, altMax, 0, varR, true); // map(value, inputMin, inputMax, outputMin, outputMax, [clamp])
-        const x = center.x + cos(angle) * radius;
-        const y = center.y + sin(angle) * radius;
-        const idx = i;
-        pts.push({
-            x,
-            y,
-            alt: row.alt,
-            spd: row.spd,
-            hdg: row.hdg,
-            lat: row.lat,
-            lon: row.lon,
-            utc: row.utc,
-            timestampMs: row.timestampMs,
-            idx,
-            angle,
-            radius
-        });
+// Index of the row closest in time to `ms` (rows are sorted by time)
+function indexAtTime(ms) {
+    let lo = 0, hi = rows.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (rows[mid].timestampMs < ms) lo = mid + 1; else hi = mid;
     }
-    pts.push(pts[0], pts[1]);
-    return { pts, center, baseR, varR };
+    if (lo > 0 && Math.abs(rows[lo - 1].timestampMs - ms) <= Math.abs(rows[lo].timestampMs - ms)) lo--;
+    return lo;
 }
 
-// Linear interpolation between two RGB colors
-function lerpRGB(c0, c1, t) { // c0: start color [R, G, B], c1: end color [R, G, B], t: interpolation factor
-    // Math.round(...) to ensure integer RGB values
-    const r = Math.round(c0[0] + (c1[0] - c0[0]) * t); // (c1[0] - c0[0]) * t = how far to move towards c1[0]
-    const g = Math.round(c0[1] + (c1[1] - c0[1]) * t);
-    const b = Math.round(c0[2] + (c1[2] - c0[2]) * t);
-    return [r, g, b]; // return the interpolated color as an array [R, G, B]
+// True when the segment rows[i] → rows[i+1] is not backed by two measured rows
+function isGapSegment(i) {
+    const a = rows[i], b = rows[i + 1];
+    return !!(a && b && (a.gapAfter || a.synthetic || b.synthetic));
 }
 
-// Get color for a specific speed value and add smooth blending between bands
-function speedColor(spd) {
-    const SMOOTH_KT = 15; // Width of the smoothing zone (in knots) around band boundaries
+// Split the segments of a `count`-vertex polyline into runs with the same gap status
+// and call fn(firstVertex, lastVertex, isGap) for each run.
+function forEachGapRun(count, fn, isGap = isGapSegment) {
+    let i0 = 0;
+    for (let i = 1; i < count; i++) {
+        if (i < count - 1 && isGap(i) === isGap(i0)) continue;
+        fn(i0, i, isGap(i0));
+        i0 = i;
+    }
+}
 
-    // Iterate through each defined speed band to find where the current speed falls
-    for (let i = 0; i < SPEED_BANDS.length; i++) {
-        const band = SPEED_BANDS[i];
+
+// ---- Flight phases ----
+// Every row gets a `phase` key and a smoothed vertical rate `vs` (ft/min).
+// Contiguous runs of the same phase are kept in `phaseSegments` for the phase band
+// drawn outside the rosette's outer ring and for the "Phase" info row.
+const FLIGHT_PHASES = {
+    'taxi-out':     { label: 'Taxi-out',     color: [142, 142, 147] },
+    'takeoff-roll': { label: 'Takeoff Roll', color: [255, 214,  10] },
+    'climb':        { label: 'Climb',        color: [ 48, 209,  88] },
+    'cruise':       { label: 'Cruise',       color: [  0, 145, 255] },
+    'step-climb':   { label: 'Step Climb',   color: [100, 210, 255] },
+    'descent':      { label: 'Descent',      color: [255, 146,  48] },
+    'approach':     { label: 'Approach',     color: [255,  66,  69] },
+    'landing-roll': { label: 'Landing Roll', color: [255, 214,  10] },
+    'taxi-in':      { label: 'Taxi-in',      color: [142, 142, 147] }
+};
+
+const PHASE_ROLL_KT = 40;          // ground speed separating taxi from takeoff/landing roll
+const PHASE_LEVEL_FPM = 400;       // |vertical rate| below this counts as level flight
+const PHASE_APPROACH_AGL_FT = 3000; // below this height after top of descent → approach
+const PHASE_CRUISE_FRAC = 0.8;     // cruise band starts at this fraction of the max height
+const PHASE_VS_WINDOW_MS = 60000;  // half-width of the window used to smooth vertical rate
+const PHASE_MIN_MS = 90000;        // shorter cruise-level blips are merged into their neighbours
+
+let phaseSegments = []; // [{ phase, i0, i1, startMs, endMs }]
+
+// Vertical rate (ft/min) from a centred difference over ±PHASE_VS_WINDOW_MS
+function computeVerticalRates(list) {
+    let lo = 0, hi = 0;
+    for (let i = 0; i < list.length; i++) {
+        const t = list[i].timestampMs;
+        while (lo < i && t - list[lo].timestampMs > PHASE_VS_WINDOW_MS) lo++;
+        while (hi < list.length - 1 && list[hi + 1].timestampMs - t <= PHASE_VS_WINDOW_MS) hi++;
+        const a = list[lo === i ? Math.max(0, i - 1) : lo];
+        const b = list[hi === i ? Math.min(list.length - 1, i + 1) : hi];
+        const dtMin = (b.timestampMs - a.timestampMs) / 60000;
+        list[i].vs = dtMin > 0 ? (b.alt - a.alt) / dtMin : 0;
+    }
+}
+
+// Label every row with a phase, leg by leg (see detectFlightEvents()).
+function classifyFlightPhases(list, legList) {
+    phaseSegments = [];
+    if (!list.length) return;
+    computeVerticalRates(list);
+    for (const leg of legList) classifyLegPhases(list, leg);
+    phaseSegments = buildPhaseSegments(list);
+}
+
+// Phases of one leg: rows [leg.i0, leg.i1], airborne between takeoffIdx and landingIdx
+// (-1 when the data starts or ends in the air).
+function classifyLegPhases(list, leg) {
+    if (leg.groundOnly) {
+        for (let i = leg.i0; i <= leg.i1; i++) list[i].phase = 'taxi-out';
+        return;
+    }
+    const air0 = leg.takeoffIdx >= 0 ? leg.takeoffIdx : leg.i0;
+    const air1 = leg.landingIdx >= 0 ? leg.landingIdx : leg.i1 + 1; // exclusive
+    const fieldAlt = leg.takeoffIdx > leg.i0 ? list[leg.takeoffIdx - 1].alt : Math.min(0, range.altMin);
+    const agl = (r) => r.alt - fieldAlt;
+
+    // Ground phases before takeoff: the fast run just before lift-off is the takeoff roll
+    for (let i = air0 - 1, rolling = true; i >= leg.i0; i--) {
+        rolling = rolling && list[i].spd >= PHASE_ROLL_KT;
+        list[i].phase = rolling ? 'takeoff-roll' : 'taxi-out';
+    }
+    // Ground phases after touchdown: landing roll until the aircraft slows to taxi speed
+    for (let i = air1, rolling = true; i <= leg.i1; i++) {
+        rolling = rolling && list[i].spd >= PHASE_ROLL_KT;
+        list[i].phase = rolling ? 'landing-roll' : 'taxi-in';
+    }
+
+    // Airborne: climb until the first level row in the cruise band, descent after the last one
+    let maxAgl = 0, maxIdx = air0;
+    for (let i = air0; i < air1; i++) {
+        if (agl(list[i]) > maxAgl) { maxAgl = agl(list[i]); maxIdx = i; }
+    }
+    const cruiseFloor = PHASE_CRUISE_FRAC * maxAgl;
+    const isCruiseLevel = (r) => agl(r) >= cruiseFloor && Math.abs(r.vs) < PHASE_LEVEL_FPM;
+    let firstCruise = -1, lastCruise = -1;
+    for (let i = air0; i < air1; i++) {
+        if (!isCruiseLevel(list[i])) continue;
+        if (firstCruise < 0) firstCruise = i;
+        lastCruise = i;
+    }
+    if (firstCruise < 0) firstCruise = lastCruise = maxIdx;
+
+    for (let i = air0; i < air1; i++) {
+        const r = list[i];
+        if (i > lastCruise && agl(r) < PHASE_APPROACH_AGL_FT) r.phase = 'approach';
+        else if (i < firstCruise) r.phase = 'climb';
+        else if (i > lastCruise) r.phase = 'descent';
+        else if (r.vs >= PHASE_LEVEL_FPM) r.phase = 'step-climb';
+        else if (r.vs <= -PHASE_LEVEL_FPM) r.phase = 'descent';
+        else r.phase = 'cruise';
+    }
+
+    // Merge short blips inside the cruise portion (turbulence, single noisy samples)
+    for (const seg of buildPhaseSegments(list)) {
+        if (seg.i0 < firstCruise || seg.i1 > lastCruise) continue;
+        if (seg.phase !== 'cruise' && seg.endMs - seg.startMs < PHASE_MIN_MS) {
+            for (let i = seg.i0; i <= seg.i1; i++) list[i].phase = 'cruise';
+        }
+    }
+}
+
+function isGroundPhase(phase) {
+    return phase === 'taxi-out' || phase === 'takeoff-roll' || phase === 'landing-roll' || phase === 'taxi-in';
+}
+
+function buildPhaseSegments(list) {
+    const segs = [];
+    for (let i = 0; i < list.length; i++) {
+        const last = segs[segs.length - 1];
+        if (last && last.phase === list[i].phase) {
+            last.i1 = i;
+            last.endMs = list[i].timestampMs;
+        } else {
+            // A new phase starts where the previous one ends so durations add up
+            if (last) last.endMs = list[i].timestampMs;
+            segs.push({ phase: list[i].phase, i0: i, i1: i, startMs: list[i].timestampMs, endMs: list[i].timestampMs });
+        }
+    }
+    return segs;
+}
+
+function phaseSegmentAt(i) {
+    return phaseSegments.find(seg => i >= seg.i0 && i <= seg.i1) || null;
+}
+
+// Total time (ms) spent in a phase between two times, over all its segments
+// (a cruise split by step climbs, a climb interrupted by a level-off)
+function phaseTotalMs(phase, startMs, endMs) {
+    let total = 0;
+    for (const seg of phaseSegments) {
+        if (seg.phase === phase) total += Math.max(0, Math.min(seg.endMs, endMs) - Math.max(seg.startMs, startMs));
+    }
+    return total;
+}
+
+// ---- Takeoff / landing detection and legs ----
+// A ground-speed + height-above-field state machine. The field elevation is tracked
+// while taxiing, so feeds that report field elevation on the ground (instead of 0)
+// work the same as Flightradar-style feeds. Every full stop splits the file into a new leg;
+// low passes that climb away again are reported as go-arounds or touch-and-gos.
+const GROUND_MAX_KT = 50;        // slower than this = taxiing / stopped on the ground
+const AIRBORNE_MIN_KT = 60;      // lift-off needs at least this ground speed...
+const TAKEOFF_AGL_FT = 50;       // ...and this height above the field
+const LANDING_AGL_FT = 25;       // rows closer than this to the landing field count as touchdown
+const GO_AROUND_AGL_FT = 1000;   // a descent below this height that climbs away again...
+const GO_AROUND_CLIMB_FT = 400;  // ...by at least this much, without stopping, is a go-around
+
+const FLIGHT_EVENT_LABELS = {
+    'takeoff':      { label: 'Takeoff',      short: 'T/O' },
+    'landing':      { label: 'Landing',      short: 'LDG' },
+    'go-around':    { label: 'Go-around',    short: 'GA'  },
+    'touch-and-go': { label: 'Touch-and-go', short: 'T&G' }
+};
+
+let flightEvents = [];   // [{ type, idx, ms }]
+let legs = [];           // [{ takeoffIdx, landingIdx, i0, i1 }] (-1 when not in the data)
+let selectedLegIdx = 0;  // leg shown in the right info card
+let flownRange = { iStart: 0, iEnd: 0 }; // airborne row range of the selected leg (distances, averages)
+
+function detectFlightEvents(list) {
+    const events = [];
+    const flights = []; // [{ takeoffIdx, landingIdx }]
+    if (!list.length) return { events, legs: [] };
+
+    // Rows without a finite speed and altitude (kept, flagged by validation) cannot tell ground from air: skipped
+    const usable = (r) => Number.isFinite(r.spd) && Number.isFinite(r.alt);
+    const first = list.find(usable);
+    if (!first) return { events, legs: [{ takeoffIdx: -1, landingIdx: -1, i0: 0, i1: list.length - 1, groundOnly: true }] };
+    let onGround = first.spd < AIRBORNE_MIN_KT || first.alt <= 0;
+    let refAlt = onGround ? first.alt : 0; // field elevation (ft) of the last ground segment
+    let lastGroundIdx = onGround ? list.indexOf(first) : -1;
+    let current = onGround ? null : { takeoffIdx: -1, landingIdx: -1 };
+    let armed = !onGround; // go-around detection only after climbing above GO_AROUND_AGL_FT
+    let low = null;        // lowest point of the current low pass { idx, alt }
+
+    for (let i = 0; i < list.length; i++) {
+        const r = list[i];
+        if (!usable(r)) continue;
+        if (onGround) {
+            if (r.spd < GROUND_MAX_KT) {
+                refAlt = r.alt;
+                lastGroundIdx = i;
+            }
+            if (r.alt - refAlt > TAKEOFF_AGL_FT && r.spd >= AIRBORNE_MIN_KT) {
+                // Lift-off is the first row of this climb above the field elevation
+                let k = i;
+                while (k - 1 > lastGroundIdx && list[k - 1].alt > refAlt) k--;
+                current = { takeoffIdx: k, landingIdx: -1 };
+                events.push({ type: 'takeoff', idx: k, ms: list[k].timestampMs });
+                onGround = false;
+                armed = false;
+                low = null;
+            }
+            continue;
+        }
+
+        // Airborne: slowing to taxi speed means we landed somewhere, at this field elevation
+        if (r.spd < GROUND_MAX_KT) {
+            let k = i;
+            while (k - 1 > Math.max(current.takeoffIdx, 0) && list[k - 1].alt - r.alt < LANDING_AGL_FT) k--;
+            current.landingIdx = k;
+            events.push({ type: 'landing', idx: k, ms: list[k].timestampMs });
+            flights.push(current);
+            current = null;
+            onGround = true;
+            refAlt = r.alt;
+            lastGroundIdx = i;
+            continue;
+        }
+
+        const agl = r.alt - refAlt;
+        if (agl > GO_AROUND_AGL_FT) armed = true;
+        if (armed && agl < GO_AROUND_AGL_FT && (!low || r.alt < low.alt)) low = { idx: i, alt: r.alt };
+        if (low && r.alt - low.alt > GO_AROUND_CLIMB_FT) {
+            const type = (low.alt - refAlt < LANDING_AGL_FT) ? 'touch-and-go' : 'go-around';
+            events.push({ type, idx: low.idx, ms: list[low.idx].timestampMs });
+            armed = false;
+            low = null;
+        }
+    }
+    if (current) flights.push(current); // data ends in the air
+
+    // Leg row ranges: ground stops between two flights are split at their midpoint
+    const legList = flights.map(f => ({ ...f, i0: 0, i1: list.length - 1 }));
+    for (let k = 1; k < legList.length; k++) {
+        const prev = legList[k - 1], next = legList[k];
+        const mid = Math.floor((prev.landingIdx + next.takeoffIdx) / 2);
+        prev.i1 = mid;
+        next.i0 = mid + 1;
+    }
+    // Never took off: one ground-only leg
+    if (!legList.length) legList.push({ takeoffIdx: -1, landingIdx: -1, i0: 0, i1: list.length - 1, groundOnly: true });
+    return { events, legs: legList };
+}
+
+// ---- Origin / destination airports ----
+// The first and last ground points of each leg are matched to the nearest airport of the offline
+// database (airports.js, AIRPORTS); the runway is inferred from the ground track of the takeoff and landing rolls.
+const AIRPORT_MATCH_NM = 8;         // furthest a leg end may lie from the airport reference point
+const AIRPORT_MATCH_AGL_FT = 3000;  // a leg that starts/ends in the air only matches this low over the field
+const RUNWAY_MATCH_DEG = 20;        // largest gap between the roll track and a runway heading
+const RUNWAY_ROLL_SPEED_FRAC = 0.7; // roll rows slower than this share of the fastest are turning on/off the runway
+
+// Nearest airport within maxNm of a point, or null
+function nearestAirport(lat, lon, maxNm = AIRPORT_MATCH_NM) {
+    if (typeof AIRPORTS === 'undefined') return null;
+    let best = null, bestNm = maxNm;
+    for (const ap of AIRPORTS) {
+        const d = haversineNm(lat, lon, ap.lat, ap.lon);
+        if (d <= bestNm) { best = ap; bestNm = d; }
+    }
+    return best;
+}
+
+// Mean ground track (°, circular mean) over the fast rows of a roll, NaN when there are none
+function rollTrackDeg(list, idxs) {
+    const fastKt = RUNWAY_ROLL_SPEED_FRAC * Math.max(...idxs.map(i => list[i].spd).filter(Number.isFinite));
+    const toRad = Math.PI / 180;
+    let x = 0, y = 0;
+    for (const i of idxs) {
+        const r = list[i];
+        if (!(r.spd >= fastKt) || !Number.isFinite(r.hdg)) continue;
+        x += Math.cos(r.hdg * toRad);
+        y += Math.sin(r.hdg * toRad);
+    }
+    return (x || y) ? (Math.atan2(y, x) / toRad + 360) % 360 : NaN;
+}
+
+// Runway end aligned with a track, e.g. "16", or "30L/R" for parallels (the track alone cannot tell them apart).
+// null when no runway of the airport lies within RUNWAY_MATCH_DEG.
+function inferRunway(airport, trackDeg) {
+    if (!airport || !Number.isFinite(trackDeg)) return null;
+    const off = (end) => Math.abs(((end.hdg - trackDeg + 540) % 360) - 180);
+    const ends = airport.runways.filter(end => off(end) <= RUNWAY_MATCH_DEG);
+    if (!ends.length) return null;
+    const best = ends.reduce((a, b) => off(b) < off(a) ? b : a);
+    const number = best.id.slice(0, 2);
+    const sides = ends.filter(end => end.id.slice(0, 2) === number && end.id.length > 2)
+        .map(end => end.id.slice(2))
+        .sort((a, b) => 'LCR'.indexOf(a) - 'LCR'.indexOf(b));
+    return sides.length > 1 ? `${number}${sides.join('/')}` : best.id;
+}
+
+// Set leg.origin / leg.destination to { airport, runway } (runway null when unknown), or null when
+// the leg end is not at a known airport. Needs the roll phases (classifyFlightPhases()).
+function matchLegAirports(list, leg) {
+    leg.origin = matchLegEnd(list, leg, leg.i0, leg.takeoffIdx, 'takeoff-roll');
+    leg.destination = matchLegEnd(list, leg, leg.i1, leg.landingIdx, 'landing-roll');
+}
+
+function matchLegEnd(list, leg, endIdx, eventIdx, rollPhase) {
+    const r = list[endIdx];
+    if (!r || (leg.groundOnly && endIdx !== leg.i0)) return null;
+    const airport = nearestAirport(r.lat, r.lon);
+    if (!airport) return null;
+    if (!isGroundPhase(r.phase) && r.alt - airport.elevFt > AIRPORT_MATCH_AGL_FT) return null; // passing overhead
+
+    // Track of the roll; without one, the track at lift-off/touchdown or on short final (data ending in the air)
+    const roll = [];
+    for (let i = leg.i0; i <= leg.i1; i++) if (list[i].phase === rollPhase) roll.push(i);
+    let track = roll.length ? rollTrackDeg(list, roll) : NaN;
+    if (!Number.isFinite(track) && eventIdx >= 0) track = list[eventIdx].hdg;
+    if (!Number.isFinite(track) && r.phase === 'approach') track = r.hdg;
+    return { airport, runway: leg.groundOnly ? null : inferRunway(airport, track) };
+}
+
+// Cumulative great-circle distance along the track (row.distNm, nautical miles from row 0)
+function computeCumulativeDistances(list) {
+    let total = 0;
+    for (let i = 0; i < list.length; i++) {
+        if (i > 0) {
+            const d = haversineNm(list[i - 1].lat, list[i - 1].lon, list[i].lat, list[i].lon);
+            if (Number.isFinite(d)) total += d;
+        }
+        list[i].distNm = total;
+    }
+}
+
+// Distance flown along the track between two row indices (NM)
+function distanceFlownNm(iStart, iEnd) {
+    const a = rows[iStart], b = rows[iEnd];
+    return (a && b) ? Math.max(0, b.distNm - a.distNm) : NaN;
+}
+
+// Time-weighted average ground speed (kt) over the airborne rows of [iStart, iEnd]
+function averageAirborneSpeedKt(iStart, iEnd) {
+    let weightedSum = 0; // Σ( segmentAvgSpeed * dt )
+    let totalDt = 0;     // Σ( dt ) in seconds
+
+    for (let i = iStart; i < iEnd; i++) {
+        const a = rows[i];
+        const b = rows[i + 1];
+        if (!a || !b) continue;
+        const dt = (b.timestampMs - a.timestampMs) / 1000; // seconds
+        if (!(dt > 0)) continue;
+
+        // Only count segments that are fully in-flight (airborne at both ends)
+        if (isGroundPhase(a.phase) || isGroundPhase(b.phase)) continue;
+
+        // Require valid speeds at both segment endpoints (in knots)
+        if (!Number.isFinite(a.spd) || !Number.isFinite(b.spd)) continue;
+
+        const sAvg = 0.5 * (a.spd + b.spd); // midpoint average for the segment
+        weightedSum += sAvg * dt;           // time-weighted contribution
+        totalDt += dt;
+    }
+    return totalDt > 0 ? weightedSum / totalDt : NaN;
+}
+
+// Headline numbers of a leg clipped to a time window ({ startMs, endMs, i0, i1 }, default the brushed view range):
+// { leg, flightMs, iStart, iEnd (airborne rows), avgKt, maxKt (all legs in the window) }. Shared by the info card and exports.
+function legSummary(legIdx = selectedLegIdx, range = viewRange) {
+    const leg = legs[legIdx] || { takeoffIdx: -1, landingIdx: -1, i0: 0, i1: rows.length - 1 };
+    const takeoffMs = leg.takeoffIdx >= 0 ? rows[leg.takeoffIdx].timestampMs : NaN;
+    const landingMs = leg.landingIdx >= 0 ? rows[leg.landingIdx].timestampMs : NaN;
+    const offMs = Math.max(takeoffMs, range.startMs);
+    const onMs  = Math.min(landingMs, range.endMs);
+    const flightMs = (Number.isFinite(takeoffMs) && Number.isFinite(landingMs) && onMs > offMs) ? onMs - offMs : NaN;
+
+    // Between takeoff and landing, or the leg's data bounds
+    const iStart = Math.max(leg.takeoffIdx >= 0 ? leg.takeoffIdx : leg.i0, range.i0);
+    const iEnd   = Math.min(leg.landingIdx >= 0 ? leg.landingIdx : leg.i1, range.i1);
+    let maxKt = -Infinity;
+    for (let i = range.i0; i <= range.i1; i++) {
+        if (Number.isFinite(rows[i].spd)) maxKt = Math.max(maxKt, rows[i].spd);
+    }
+    return { leg, flightMs, iStart, iEnd, avgKt: averageAirborneSpeedKt(iStart, iEnd), maxKt };
+}
+
+// Publish the selected leg: takeoff/landing times, total flight time, average speed and events.
+// Everything but the takeoff/landing times is clipped to the brushed view range.
+function applySelectedLeg() {
+    const summary = legSummary();
+    const leg = summary.leg;
+
+    actualTakeOffMs   = leg.takeoffIdx >= 0 ? rows[leg.takeoffIdx].timestampMs : null;
+    actualLandingMs   = leg.landingIdx >= 0 ? rows[leg.landingIdx].timestampMs : null;
+    actualTakeOffTime = Number.isFinite(actualTakeOffMs) ? formatUTC(actualTakeOffMs) : null;
+    actualLandingTime = Number.isFinite(actualLandingMs) ? formatUTC(actualLandingMs) : null;
+
+    // Local time of the airport each event happened at, under the UTC time
+    const withLocal = (html, ms, end) => html && end ? `${html}<br>${formatAirportLocalTime(ms, end.airport)}` : html;
+    const refs = window.infoRefs || {};
+    if (refs.takeoffActual) refs.takeoffActual.innerHTML = withLocal(actualTakeOffTime, actualTakeOffMs, leg.origin) || '—';
+    if (refs.landingActual) refs.landingActual.innerHTML = withLocal(actualLandingTime, actualLandingMs, leg.destination) || '—';
+    if (dom.infoOrigin) dom.infoOrigin.innerHTML = legEndHtml(leg.origin);
+    if (dom.infoDestination) dom.infoDestination.innerHTML = legEndHtml(leg.destination);
+
+    // --- Total flight time (airborne duration inside the view range) ---
+    if (dom.infoFlightTime) {
+        dom.infoFlightTime.textContent = Number.isFinite(summary.flightMs)
+            ? formatHMS(summary.flightMs) // Use HH:MM:SS via formatter
+            : '—';
+    }
+
+    // --- Average speed during flight (between takeoff and landing, or the leg's data bounds) ---
+    const { iStart, iEnd, avgKt, maxKt } = summary;
+    if (dom.avgSpeed) dom.avgSpeed.textContent = formatQuantity('speed', avgKt);
+
+    // --- Distances: flown along the track vs. great circle between first and last airborne point ---
+    flownRange = iEnd > iStart ? { iStart, iEnd } : { iStart: viewRange.i0, iEnd: viewRange.i1 };
+    const flownNm = distanceFlownNm(flownRange.iStart, flownRange.iEnd);
+    const a = rows[flownRange.iStart], b = rows[flownRange.iEnd];
+    const gcNm = (a && b) ? haversineNm(a.lat, a.lon, b.lat, b.lon) : NaN;
+    if (dom.totalDistance) dom.totalDistance.textContent = formatNm(flownNm);
+    if (dom.routeEfficiency) {
+        dom.routeEfficiency.innerHTML = (flownNm > 0 && Number.isFinite(gcNm))
+            ? `${nf(100 * gcNm / flownNm, 1, 1)}%<br><span class="k">${formatNm(gcNm)} great circle</span>`
+            : '—';
+    }
+
+    // --- Go-arounds / touch-and-gos within this leg ---
+    if (dom.infoEvents) {
+        const evs = flightEvents.filter(e => (e.type === 'go-around' || e.type === 'touch-and-go') && e.idx >= leg.i0 && e.idx <= leg.i1 && inViewRange(e.idx));
+        dom.infoEvents.innerHTML = evs.length
+            ? evs.map(e => `${FLIGHT_EVENT_LABELS[e.type].label} ${formatUTC(e.ms).split('<br>')[1]}`).join('<br>')
+            : 'None';
+    }
+
+    // --- Max speed and coverage gaps inside the view range (all legs) ---
+    if (dom.maxSpeed) {
+        dom.maxSpeed.textContent = formatQuantity('speed', maxKt);
+    }
+    if (dom.infoGaps) {
+        const inView = gaps.filter(g => g.endMs > viewRange.startMs && g.startMs < viewRange.endMs);
+        const totalGapMs = inView.reduce((sum, g) => sum + g.durationMs, 0);
+        dom.infoGaps.textContent = inView.length ? `${inView.length} (${formatDuration(totalGapMs)})` : 'None';
+    }
+}
+
+function selectLeg(i) {
+    selectedLegIdx = constrain(i, 0, Math.max(0, legs.length - 1));
+    applySelectedLeg();
+    if (minimap) minimap.rebuild(); // reference arc follows the selected leg
+}
+
+// Fill the leg selector; it is only shown for multi-leg files
+function populateLegSelect() {
+    if (!dom.legSelect) return;
+    const hm = (ms) => Number.isFinite(ms) ? formatUTC(ms).split('<br>')[1].slice(0, 5) : '?';
+    dom.legSelect.innerHTML = legs.map((leg, i) => {
+        const t0 = leg.takeoffIdx >= 0 ? rows[leg.takeoffIdx].timestampMs : NaN;
+        const t1 = leg.landingIdx >= 0 ? rows[leg.landingIdx].timestampMs : NaN;
+        const route = (leg.origin || leg.destination) ? ` · ${airportCode(leg.origin)}–${airportCode(leg.destination)}` : '';
+        return `<option value="${i}">Leg ${i + 1}${route} · ${hm(t0)}–${hm(t1)}</option>`;
+    }).join('');
+    dom.legSelect.value = String(selectedLegIdx);
+    if (dom.legRow) dom.legRow.classList.toggle('hidden', legs.length < 2);
+}
+
+// ---- Brushed view range ----
+// Dragging on the speed chart narrows the dashboard to a time window (pushViewRange);
+// the breadcrumbs step back out (popViewRange). Rows keep their indices, the views skip rows outside.
+const VIEW_MIN_MS = 30 * 1000; // narrowest window the brush accepts
+
+// Set viewRange to [startMs, endMs] and resolve the rows inside it
+function setViewRange(startMs, endMs) {
+    let i0 = 0, i1 = rows.length - 1;
+    if (rows.length) {
+        i0 = indexAtTime(startMs);
+        i1 = indexAtTime(endMs);
+        if (rows[i0].timestampMs < startMs && i0 < rows.length - 1) i0++;
+        if (rows[i1].timestampMs > endMs && i1 > 0) i1--;
+    }
+    viewRange = { startMs, endMs, i0, i1 };
+}
+
+function inViewRange(i) {
+    return i >= viewRange.i0 && i <= viewRange.i1;
+}
+
+// Zoom into [startMs, endMs]; the current window becomes a breadcrumb. Returns false if the window is too narrow.
+function pushViewRange(startMs, endMs) {
+    startMs = Math.max(startMs, viewRange.startMs);
+    endMs   = Math.min(endMs, viewRange.endMs);
+    if (!(endMs - startMs >= VIEW_MIN_MS)) return false;
+    const prev = viewRange;
+    setViewRange(startMs, endMs);
+    if (viewRange.i1 - viewRange.i0 < 1) { // needs at least one segment
+        viewRange = prev;
+        return false;
+    }
+    viewStack.push({ startMs: prev.startMs, endMs: prev.endMs });
+    applyViewRange();
+    return true;
+}
+
+// Step back out to breadcrumb `depth` (0 = whole flight, default = one level up)
+function popViewRange(depth = viewStack.length - 1) {
+    if (!(depth >= 0 && depth < viewStack.length)) return;
+    const r = viewStack[depth];
+    viewStack.length = depth;
+    setViewRange(r.startMs, r.endMs);
+    applyViewRange();
+}
+
+function resetViewRange() {
+    popViewRange(0);
+}
+
+// Re-scope the dashboard to viewRange: selection, statistics, rosette, minimap, charts and breadcrumbs
+function applyViewRange() {
+    selectedIdx = constrain(selectedIdx, viewRange.i0, viewRange.i1);
+    if (playback.playing) playback.ms = rows[selectedIdx].timestampMs; // keep flying inside the new window
+    applySelectedLeg();
+    rosetteCache.pts = null;
+    rosetteStaticDirty = true;
+    rosetteTrailDirty  = true;
+    if (minimap) minimap.fitView();
+    rebuildMetricCharts();
+    updateTrailLegend(); // elapsed-time ticks follow the window
+    renderViewBreadcrumbs();
+}
+
+function finalizeAfterRowsParsed() {
+    const validTimes = rows.filter(r => Number.isFinite(r.timestampMs));
+    if (validTimes.length) {
+        startTimestampMs = validTimes[0].timestampMs;
+        endTimestampMs   = validTimes[validTimes.length - 1].timestampMs;
+    }
+    // A new dataset starts unzoomed
+    viewStack = [];
+    setViewRange(startTimestampMs, endTimestampMs);
+
+    // --- Haversine distance per segment, accumulated along the track ---
+    computeCumulativeDistances(rows);
+
+    // --- Takeoff / landing / go-around / touch-and-go detection, split into legs ---
+    const detected = detectFlightEvents(rows);
+    flightEvents = detected.events;
+    legs = detected.legs;
+    selectedLegIdx = 0;
+
+    // --- Flight phases (taxi, roll, climb, cruise, descent, approach...) per leg ---
+    classifyFlightPhases(rows, legs);
+
+    // --- Origin / destination airports and runways per leg (needs the roll phases) ---
+    for (const leg of legs) matchLegAirports(rows, leg);
+
+    // --- Takeoff/landing times, total flight time and average speed of the selected leg ---
+    applySelectedLeg();
+    populateLegSelect();
+
+    if (rows.length >= 2) {
+        const start = rows[0];
+        const end   = rows[rows.length - 1];
+        updateTrackDir(start.lat, start.lon, end.lat, end.lon);
+    }
+    if (range.altMin === range.altMax) range.altMax = range.altMin + 1;
+    if (range.spdMin === range.spdMax) range.spdMax = range.spdMin + 1;
+
+    // Reset trail & rings layers to fit current canvas and clear previous drawing
+    trail = createGraphics(width, height);
+    trail.colorMode(HSB, 360, 100, 100, 100);
+    trail.clear();
+    ringsLayer = createGraphics(width, height);
+    ringsLayer.colorMode(HSB, 360, 100, 100, 100);
+    ringsLayer.clear();
+    // Mark layers dirty so they will be rendered once in drawRosette()
+    rosetteStaticDirty = true;
+    rosetteTrailDirty  = true;
+    // Ensure the legend matches the new flight (band colours, scale ticks)
+    updateTrailLegend();
+    renderViewBreadcrumbs();
+}
+
+// =============== [4] ROSETTE GEOMETRY, DRAW LOOP & DRAWING HELPERS ==================
+
+function draw() {
+    if (!rows.length) {
+        background(0, 0, 8);
+        return;
+    }
+    drawRosette();
+}
+
+// ---- Layouts ----
+// Where each row lands on the canvas. All layouts share the rosette frame (centre, hub radius baseR,
+// altitude band varR) and fill it differently:
+//   rosette  the brushed window on one revolution, radius = altitude
+//   spiral   one revolution per spiralTurnMin minutes winding outwards, radius within the turn = altitude
+//   ribbon   profile with time on the x axis and altitude on the y axis
+// Each entry provides:
+//   frame(geom)            layout parameters for the current window, merged into the geometry
+//   place(geom, row)       {x, y}, plus angle/radius for the polar layouts (trail arcs are interpolated in polar space)
+//   timeAt(geom, x, y)     timestamp under a canvas position, for cursor picking
+//   drawGuides(ctx, geom)  rings/axes/phase band into the static layer (HSB colour mode expected)
+//   compass                the heading rose sits in the hub
+const SPIRAL_TURN_OPTIONS_MIN = [15, 30, 60, 120];
+const SPIRAL_ALT_SHARE = 0.8; // part of a turn's radial band used by altitude, the rest separates the turns
+const RIBBON_SIDE_PX = 320;   // room kept for the info cards on both sides of the ribbon
+let rosetteLayout = 'rosette';
+let spiralTurnMin = 60;
+
+const utcHHMM = (ms) => new Date(ms).toISOString().slice(11, 16); // axis and turn labels
+
+const LAYOUTS = {
+    rosette: {
+        label: 'Rosette',
+        compass: true,
+        frame: () => ({}),
+        place(g, row) {
+            const angle = HALF_PI + timeFracForRow(row) * TWO_PI;
+            const radius = g.baseR + map(row.alt, range.altMin, range.altMax, 0, g.varR, true); // map(value, inputMin, inputMax, outputMin, outputMax, [clamp])
+            return polarPoint(g.center, angle, radius);
+        },
+        timeAt: (g, x, y) => viewRange.startMs + revolutionFrac(g.center, x, y) * (viewRange.endMs - viewRange.startMs),
+        drawGuides: drawRosetteGuides
+    },
+    spiral: {
+        label: 'Spiral',
+        compass: true,
+        frame(g) {
+            const turnMs = spiralTurnMin * 60 * 1000;
+            const turns = Math.max(0.01, (viewRange.endMs - viewRange.startMs) / turnMs);
+            return { turnMs, turns, bandW: (g.maxRadius - g.baseR) / (turns + SPIRAL_ALT_SHARE) };
+        },
+        place: (g, row) => spiralPoint(g, row.timestampMs, map(row.alt, range.altMin, range.altMax, 0, SPIRAL_ALT_SHARE, true)),
+        timeAt(g, x, y) {
+            // Angle gives the time within a turn, the distance from the centre picks the turn
+            const f = revolutionFrac(g.center, x, y);
+            const r = Math.hypot(x - g.center.x, y - g.center.y);
+            const k = constrain(Math.round((r - g.baseR) / g.bandW - f - SPIRAL_ALT_SHARE / 2), 0, Math.ceil(g.turns) - 1);
+            return Math.min(viewRange.endMs, viewRange.startMs + (k + f) * g.turnMs);
+        },
+        drawGuides: drawSpiralGuides
+    },
+    ribbon: {
+        label: 'Ribbon',
+        compass: false,
+        frame(g) {
+            const plotW = Math.min(g.w - UI.margin * 4, Math.max(g.maxRadius * 2, g.w - RIBBON_SIDE_PX * 2));
+            const plotH = g.maxRadius;
+            return {
+                x0: g.center.x - plotW / 2, x1: g.center.x + plotW / 2,
+                yTop: g.center.y - plotH / 2, yBase: g.center.y + plotH / 2,
+                altTop: altitudeGuideLevels(range.altMax).pop().alt
+            };
+        },
+        place: (g, row) => ({
+            x: lerp(g.x0, g.x1, timeFracForRow(row)),
+            y: map(row.alt, 0, g.altTop, g.yBase, g.yTop, true)
+        }),
+        timeAt: (g, x) => viewRange.startMs + constrain((x - g.x0) / (g.x1 - g.x0), 0, 1) * (viewRange.endMs - viewRange.startMs),
+        drawGuides: drawRibbonGuides
+    }
+};
+
+function polarPoint(center, angle, radius) {
+    return { x: center.x + cos(angle) * radius, y: center.y + sin(angle) * radius, angle, radius };
+}
+
+// Point on the spiral at time ms; band ∈ [0, 1) is the offset inside the turn (altitude uses [0, SPIRAL_ALT_SHARE])
+function spiralPoint(g, ms, band) {
+    const turnPos = (ms - viewRange.startMs) / g.turnMs;
+    return polarPoint(g.center, HALF_PI + turnPos * TWO_PI, g.baseR + (turnPos + band) * g.bandW);
+}
+
+// Angle of (x, y) around the centre as a fraction of a revolution, 0 at the start/end marker
+function revolutionFrac(center, x, y) {
+    let t = (Math.atan2(y - center.y, x - center.x) - HALF_PI) % TWO_PI; // rotate so 0 = 6 o'clock, instead of 3 o'clock
+    if (t < 0) t += TWO_PI; // ensure t is in [0, 2π]
+    return t / TWO_PI;
+}
+
+// Position between two trail points at fraction t: along the arc for the polar layouts, straight for the ribbon
+function trailPointBetween(a, b, t, center) {
+    if (a.angle === undefined) return { x: lerp(a.x, b.x, t), y: lerp(a.y, b.y, t) };
+    const ang = lerp(a.angle, b.angle, t);
+    const rad = lerp(a.radius, b.radius, t);
+    return { x: cos(ang) * rad + center.x, y: sin(ang) * rad + center.y };
+}
+
+function setRosetteLayout(layoutId, turnMin = spiralTurnMin) {
+    if (!LAYOUTS[layoutId]) return;
+    rosetteLayout = layoutId;
+    if (SPIRAL_TURN_OPTIONS_MIN.includes(turnMin)) spiralTurnMin = turnMin;
+    if (dom.layoutSelect) dom.layoutSelect.value = layoutId;
+    if (dom.spiralTurn) dom.spiralTurn.value = String(spiralTurnMin);
+    if (dom.spiralTurnRow) dom.spiralTurnRow.classList.toggle('hidden', layoutId !== 'spiral');
+    rosetteCache.pts = null;
+    rosetteStaticDirty = true;
+    rosetteTrailDirty  = true;
+}
+
+// This function computes the coordinates and attributes needed to draw the flight visualization,
+// mapping each row of flight data to a point of the active layout (see LAYOUTS).
+// w/h default to the window canvas; exports pass their own size.
+// Returns the geometry: { pts, center, baseR, varR, maxRadius, w, h, layout, ...layout frame }
+function buildRosettePoints(w = width, h = height) {
+    const layout = LAYOUTS[rosetteLayout] || LAYOUTS.rosette;
+    const center = { x: w * 0.5, y: h * 0.5 };
+    const maxRadius = (min(w, h) / 2) - UI.margin * 2;
+    const varR = maxRadius * 0.6;
+    const baseR = maxRadius - varR;
+    const geom = { center, baseR, varR, maxRadius, w, h, layout };
+    Object.assign(geom, layout.frame(geom));
+
+    let pts = [];
+    for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const pos = layout.place(geom, row);
+        const idx = i;
+        pts.push({
+            ...pos, // x, y (and angle, radius)
+            alt: row.alt,
+            spd: row.spd,
+            hdg: row.hdg,
+            lat: row.lat,
+            lon: row.lon,
+            utc: row.utc,
+            timestampMs: row.timestampMs,
+            idx,
+            inView: inViewRange(i)
+        });
+    }
+    pts.push(pts[0], pts[1]);
+    geom.pts = pts;
+    return geom;
+}
+
+// Linear interpolation between two RGB colors
+function lerpRGB(c0, c1, t) { // c0: start color [R, G, B], c1: end color [R, G, B], t: interpolation factor
+    // Math.round(...) to ensure integer RGB values
+    const r = Math.round(c0[0] + (c1[0] - c0[0]) * t); // (c1[0] - c0[0]) * t = how far to move towards c1[0]
+    const g = Math.round(c0[1] + (c1[1] - c0[1]) * t);
+    const b = Math.round(c0[2] + (c1[2] - c0[2]) * t);
+    return [r, g, b]; // return the interpolated color as an array [R, G, B]
+}
+
+// Get color for a specific speed value and add smooth blending between bands
+function speedColor(spd) {
+    const SMOOTH_KT = 15; // Width of the smoothing zone (in knots) around band boundaries
+
+    // Iterate through each defined speed band to find where the current speed falls
+    for (let i = 0; i < SPEED_BANDS.length; i++) {
+        const band = SPEED_BANDS[i];
         if (spd >= band.min && spd < band.max) {
             // Default to this band's base color
             let gradientColor = band.color;
@@ -691,6 +2231,190 @@ function speedStrokeWeight(spd) {
     return SW_MIN + (SW_MAX - SW_MIN) * t;
 }
 
+// Index of the SPEED_BANDS entry containing spd (-1 when unknown)
+function speedBandIndex(spd) {
+    if (!Number.isFinite(spd)) return -1;
+    const i = SPEED_BANDS.findIndex(band => spd >= band.min && spd < band.max);
+    return i >= 0 ? i : (spd < SPEED_BANDS[0].min ? 0 : SPEED_BANDS.length - 1);
+}
+
+// Band range as text in the preferred speed unit, e.g. "160–300 kt" or "963+ km/h"
+function speedBandLabel(band) {
+    const num = (kt) => formatNumber(toUnit('speed', kt));
+    const unit = unitOf('speed').label;
+    return Number.isFinite(band.max) ? `${num(band.min)}–${num(band.max)} ${unit}` : `${num(band.min)}+ ${unit}`;
+}
+
+// Colour at t ∈ [0, 1] along evenly spaced colour stops
+function sampleColorStops(stops, t) {
+    const x = constrain(t, 0, 1) * (stops.length - 1);
+    const k = Math.min(stops.length - 2, Math.floor(x));
+    return lerpRGB(stops[k], stops[k + 1], x - k);
+}
+
+// n colours sampled evenly along a palette's colour stops
+function paletteColors(paletteId, n) {
+    const stops = (SPEED_PALETTES[paletteId] || SPEED_PALETTES.skytrail).colors;
+    const out = [];
+    for (let i = 0; i < n; i++) out.push(sampleColorStops(stops, n > 1 ? i / (n - 1) : 0));
+    return out;
+}
+
+// Rebuild GS_BREAKS / SPEED_BANDS / SW_MAX_AT in place from sorted lower bounds (kt) and a palette
+function setSpeedBands(breaks, paletteId) {
+    const colors = paletteColors(paletteId, breaks.length);
+    GS_BREAKS.splice(0, GS_BREAKS.length, ...breaks);
+    SPEED_BANDS.splice(0, SPEED_BANDS.length, ...breaks.map((min, i) => ({
+        min,
+        max: i < breaks.length - 1 ? breaks[i + 1] : Infinity,
+        color: colors[i]
+    })));
+    SW_MAX_AT = breaks[breaks.length - 1] > breaks[0] ? breaks[breaks.length - 1] : breaks[0] + 1;
+}
+
+// "0, 40, 160" → [0, 40, 160]; null unless 2–10 strictly increasing, non-negative numbers
+// Band breaks (kt) as shown in the editor: whole numbers in the preferred speed unit
+function speedBreaksText(breaks) {
+    return breaks.map(kt => Math.round(toUnit('speed', kt))).join(', ');
+}
+
+function parseSpeedBreaks(text) {
+    const breaks = String(text).split(/[\s,;]+/).filter(Boolean).map(Number);
+    if (breaks.length < 2 || breaks.length > 10) return null;
+    if (!breaks.every((v, i) => Number.isFinite(v) && v >= 0 && (i === 0 || v > breaks[i - 1]))) return null;
+    return breaks;
+}
+
+// Switch bands/palette: legend, rosette trail and speed chart follow; the choice is kept in localStorage
+function applySpeedBandSettings(settings) {
+    speedBandSettings = settings;
+    setSpeedBands(settings.breaks, settings.palette);
+    try {
+        localStorage.setItem(SPEED_BANDS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) { /* storage unavailable: keep the choice for this session only */ }
+    updateTrailLegend();
+    populateSpeedBandEditor();
+    rosetteTrailDirty = true;
+    if (speedChart) speedChart.rebuild();
+    if (minimap) minimap.rebuild(); // the minimap path is coloured by the same bands
+}
+
+function loadSpeedBandSettings() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(SPEED_BANDS_STORAGE_KEY) || 'null');
+    } catch (err) { /* ignore malformed entries */ }
+    if (!saved) return;
+    const breaks = Array.isArray(saved.breaks) ? parseSpeedBreaks(saved.breaks.join(',')) : null;
+    if (!breaks) return;
+    speedBandSettings = {
+        preset: SPEED_BAND_PRESETS[saved.preset] ? saved.preset : 'custom',
+        palette: SPEED_PALETTES[saved.palette] ? saved.palette : 'skytrail',
+        breaks
+    };
+    setSpeedBands(speedBandSettings.breaks, speedBandSettings.palette);
+}
+
+// ---- Trail colour modes ----
+// The rosette trail, minimap path and poster colour the track by one metric at a time (selector
+// above the legend). Ground speed keeps its bands and stroke weights; every other mode maps its value
+// onto a continuous scale with a constant stroke weight:
+//   sequential  low → high along viridis
+//   diverging   symmetric around 0 (descent/left turn blue, climb/right turn red)
+//   value(i)    metric for row i (null/NaN = no data)
+//   domain()    [min, max] of the scale for the current flight and brushed window
+//   format(v)   legend tick label
+const SEQUENTIAL_SCALE = SPEED_PALETTES.viridis.colors;
+const DIVERGING_SCALE = [[0, 145, 255], [100, 180, 240], [200, 200, 200], [255, 160, 70], [255, 66, 69]];
+const TRAIL_FLAT_WEIGHT = 3.0;
+const signedLabel = (text, v) => (v > 0 ? '+' : '') + text;
+
+const COLOR_MODES = {
+    speed: {
+        label: 'Ground speed',
+        value: (i) => rows[i].spd
+    },
+    altitude: {
+        label: 'Altitude', scale: 'sequential',
+        value: (i) => rows[i].alt,
+        domain: () => [range.altMin, range.altMax],
+        format: (v) => formatQuantity('altitude', v)
+    },
+    'vertical-rate': {
+        label: 'Vertical rate', scale: 'diverging',
+        value: (i) => rows[i].vs,
+        domain: () => [-verticalRateExtent(), verticalRateExtent()],
+        format: (v) => formatQuantity('verticalRate', v, true)
+    },
+    'path-angle': {
+        label: 'Flight path angle', scale: 'diverging',
+        value: estimateFlightPathAngleDeg,
+        domain: () => [-6, 6], // a 3° approach sits halfway down
+        format: (v) => signedLabel(`${Math.round(v)}°`, v)
+    },
+    'heading-change': {
+        label: 'Heading change', scale: 'diverging',
+        value: turnRateDegS,
+        domain: () => [-3, 3], // standard rate turn
+        format: (v) => signedLabel(`${v.toFixed(1)}°/s`, v)
+    },
+    elapsed: {
+        label: 'Elapsed time', scale: 'sequential',
+        value: (i) => rows[i].timestampMs - viewRange.startMs,
+        domain: () => [0, viewRange.endMs - viewRange.startMs],
+        format: formatDuration
+    }
+};
+let trailColorMode = 'speed';
+
+// Resolve the active mode once per drawing pass: value(i), color(v) → {r,g,b,a}, weight(v)
+function trailEncoding(modeId = trailColorMode) {
+    const mode = COLOR_MODES[modeId] || COLOR_MODES.speed;
+    if (!mode.scale) return { mode, value: mode.value, color: speedColor, weight: speedStrokeWeight };
+    const [lo, hi] = mode.domain();
+    const stops = mode.scale === 'diverging' ? DIVERGING_SCALE : SEQUENTIAL_SCALE;
+    return {
+        mode,
+        value: mode.value,
+        color(v) {
+            if (!Number.isFinite(v)) return { r: 142, g: 142, b: 147, a: 60 };
+            const [r, g, b] = sampleColorStops(stops, hi > lo ? (v - lo) / (hi - lo) : 0.5);
+            return { r, g, b, a: 100 };
+        },
+        weight: () => TRAIL_FLAT_WEIGHT
+    };
+}
+
+// Value between rows i and i + 1 at fraction t, falling back to whichever end has data
+function encodedValueAt(enc, i, t = 0.5) {
+    const a = enc.value(i), b = enc.value(i + 1);
+    if (!Number.isFinite(a)) return b;
+    if (!Number.isFinite(b)) return a;
+    return lerp(a, b, t);
+}
+
+// Legend for the active mode: speed bands, or the scale's colour stops with three ticks
+function trailLegend() {
+    const enc = trailEncoding();
+    if (!enc.mode.scale) return { title: 'Speed Reference Key', bands: SPEED_BANDS };
+    const [lo, hi] = enc.mode.domain();
+    const ticks = enc.mode.scale === 'diverging' ? [lo, 0, hi] : [lo, (lo + hi) / 2, hi];
+    return {
+        title: `${enc.mode.label} Key`,
+        stops: enc.mode.scale === 'diverging' ? DIVERGING_SCALE : SEQUENTIAL_SCALE,
+        ticks: rows.length ? ticks.map(v => enc.mode.format(v)) : ['—', '—', '—']
+    };
+}
+
+function setTrailColorMode(modeId) {
+    if (!COLOR_MODES[modeId]) return;
+    trailColorMode = modeId;
+    if (dom.trailColorMode) dom.trailColorMode.value = modeId;
+    updateTrailLegend();
+    rosetteTrailDirty = true;
+    if (minimap) minimap.rebuild();
+}
+
 // =================== Rosette Layer Caching & Redraw ===================
 // Render static rosette elements (rings, labels, start/end marker) into ringsLayer
 function renderRosetteStatic() {
@@ -699,15 +2423,29 @@ function renderRosetteStatic() {
         ringsLayer.colorMode(HSB, 360, 100, 100, 100);
     }
     ringsLayer.clear();
-    const { center, baseR, varR } = rosetteCache;
+    drawRosetteStatic(ringsLayer, rosetteCache);
+}
+
+// Static elements of the geometry's layout into any p5-compatible context (HSB colour mode expected):
+// the ringsLayer buffer, the poster, or the vector recorder used by the SVG/PDF export
+function drawRosetteStatic(ctx, geom) {
+    geom.layout.drawGuides(ctx, geom);
+}
+
+// Rosette layout: altitude rings, start/end marker, phase band and event ticks
+function drawRosetteGuides(ctx, geom) {
+    const { center, baseR, varR } = geom;
     // Draw altitude rings + labels onto the static layer
-    drawAltitudeRings(ringsLayer, center, baseR, varR);
+    drawAltitudeRings(ctx, center, baseR, varR);
     // Draw the fixed start/end radial marker onto the static layer
-    drawStartEndMarker(ringsLayer, center, baseR, varR);
+    drawStartEndMarker(ctx, center, baseR, varR);
+    // Draw the flight phase band just outside the outer ring, with event ticks on top
+    drawPhaseBand(ctx, center, baseR + varR + 5);
+    drawFlightEventMarkers(ctx, center, baseR + varR);
     // Draw the altitude labels onto the static layer
     if (UI.arcLabel && UI.arcLabel.length) {
         const rLabel = baseR + varR + 14;
-        drawTextAlongCircle(ringsLayer, center, rLabel, UI.arcLabel, HALF_PI, false, 1, UI.arcLabelAlign);
+        drawTextAlongCircle(ctx, center, rLabel, UI.arcLabel, HALF_PI, false, 1, UI.arcLabelAlign);
     }
 }
 
@@ -718,28 +2456,88 @@ function renderRosetteTrail() {
         trail.colorMode(HSB, 360, 100, 100, 100);
     }
     trail.clear();
-    trail.colorMode(RGB, 255, 255, 255, 100);
-    const { pts, center } = rosetteCache;
+    drawRosetteTrail(trail, rosetteCache);
+}
+
+// Trail in the active colour mode (and gap arcs/labels) into any p5-compatible context
+function drawRosetteTrail(ctx, geom) {
+    const { pts, center } = geom;
+    ctx.colorMode(RGB, 255, 255, 255, 100);
+    const enc = trailEncoding(); // active colour mode (see COLOR_MODES)
     for (let i = 0; i < pts.length - 2; i++) {
         const a = pts[i], b = pts[i + 1];
         if (i === rows.length - 1) continue;
+        if (!inViewRange(i) || !inViewRange(i + 1)) continue; // outside the brushed window
+        // Coverage gaps and reconstructed stretches are drawn dashed instead of as data
+        if (isGapSegment(i)) {
+            drawRosetteGapSegment(ctx, a, b, center, enc);
+            continue;
+        }
+        const va = enc.value(a.idx), vb = enc.value(b.idx);
         const segs = 30;
         let px = a.x, py = a.y;
         for (let s = 1; s < segs; s++) {
             const t = s / segs;
-            const angleInterp = lerp(a.angle, b.angle, t);
-            const radiusInterp = lerp(a.radius, b.radius, t);
-            const x1 = cos(angleInterp) * radiusInterp + center.x;
-            const y1 = sin(angleInterp) * radiusInterp + center.y;
-            const spdInterp = lerp(a.spd, b.spd, t);
-            const col = speedColor(spdInterp);
-            const sw  = speedStrokeWeight(spdInterp);
-            trail.stroke(col.r, col.g, col.b, col.a);
-            trail.strokeWeight(sw);
-            trail.line(px, py, x1, y1);
+            const { x: x1, y: y1 } = trailPointBetween(a, b, t, center);
+            const v = Number.isFinite(va) && Number.isFinite(vb) ? lerp(va, vb, t) : (Number.isFinite(va) ? va : vb);
+            const col = enc.color(v);
+            const sw  = enc.weight(v);
+            ctx.stroke(col.r, col.g, col.b, col.a);
+            ctx.strokeWeight(sw);
+            ctx.line(px, py, x1, y1);
             px = x1; py = y1;
         }
     }
+    drawRosetteGapLabels(ctx, pts, center);
+}
+
+// Dashed arc for a gap segment: faded grey when the gap is left empty, faded trail
+// colour when it has been filled with synthetic points.
+function drawRosetteGapSegment(ctx, a, b, center, enc = trailEncoding()) {
+    const segs = 30;
+    const synthetic = !!(rows[a.idx].synthetic || rows[b.idx].synthetic);
+    ctx.push();
+    ctx.noFill();
+    ctx.drawingContext.setLineDash(synthetic ? [2, 4] : [4, 6]);
+    if (synthetic) {
+        const v = encodedValueAt(enc, a.idx);
+        const col = enc.color(v);
+        ctx.stroke(col.r, col.g, col.b, 45);
+        ctx.strokeWeight(enc.weight(v));
+    } else {
+        ctx.stroke(255, 255, 255, 35);
+        ctx.strokeWeight(1.5);
+    }
+    ctx.beginShape();
+    for (let s = 0; s <= segs; s++) {
+        const pt = trailPointBetween(a, b, s / segs, center);
+        ctx.vertex(pt.x, pt.y);
+    }
+    ctx.endShape();
+    ctx.drawingContext.setLineDash([]);
+    ctx.pop();
+}
+
+// Duration label at the middle of every detected gap, just inside the trail (below it on the ribbon)
+function drawRosetteGapLabels(ctx, pts, center) {
+    ctx.push();
+    ctx.noStroke();
+    ctx.fill(255, 255, 255, 60);
+    ctx.textSize(9);
+    ctx.textAlign(CENTER, CENTER);
+    for (const g of gaps) {
+        const a = pts[indexAtTime(g.startMs)], b = pts[indexAtTime(g.endMs)];
+        if (!a || !b || !a.inView || !b.inView) continue;
+        const label = `gap ${formatDuration(g.durationMs)}`;
+        if (a.angle === undefined) {
+            ctx.text(label, 0.5 * (a.x + b.x), 0.5 * (a.y + b.y) + 14);
+            continue;
+        }
+        const ang = 0.5 * (a.angle + b.angle);
+        const rad = 0.5 * (a.radius + b.radius) - 14;
+        ctx.text(label, cos(ang) * rad + center.x, sin(ang) * rad + center.y);
+    }
+    ctx.pop();
 }
 
 // Main rosette draw: use cached layers, only redraw when marked dirty.
@@ -747,11 +2545,7 @@ function drawRosette() {
     if (!rows.length) return;
     // If no cached geometry yet (or trail/static marked dirty), build it once
     if (!rosetteCache.pts || rosetteTrailDirty || rosetteStaticDirty) {
-        const { pts, center, baseR, varR } = buildRosettePoints();
-        rosetteCache.pts = pts;
-        rosetteCache.center = center;
-        rosetteCache.baseR = baseR;
-        rosetteCache.varR = varR;
+        Object.assign(rosetteCache, buildRosettePoints());
     }
     // Re-render static layer if needed (rings + labels + start/end marker)
     if (rosetteStaticDirty) {
@@ -769,32 +2563,32 @@ function drawRosette() {
     if (trail) image(trail, 0, 0);           // composite cached trail
     
     // --- Dynamic overlays only ---
-    if (cursorFollowMouse) {
-        selectedIdx = getIndexFromMouse(center, pts.length - 2);
+    if (recording) {
+        selectedIdx = recordingFrameIndex();
+    } else if (playback.playing) {
+        advancePlayback(deltaTime);
+    } else if (cursorFollowMouse && !cursorOwner) {
+        selectedIdx = getIndexFromMouse(rosetteCache, pts.length - 2);
     }
     const hdgNow = (rows[selectedIdx] && Number.isFinite(rows[selectedIdx].hdg)) ? rows[selectedIdx].hdg : null;
-    drawHeadingViz(center, baseR, hdgNow);
+    if (rosetteCache.layout.compass) drawHeadingViz(center, baseR, hdgNow);
+    else dom.headingPlane.style.transform = 'translate(-10000px,-10000px)';
     drawIndicator(pts, selectedIdx);
     updateInfoCard(pts[selectedIdx]);
+    updatePlaybackBar();
+    updateLocationHash();
     minimap.refresh();
-    speedChart.refresh();
+    refreshMetricCharts();
+    if (recording) captureRecordingFrame(pts, center);
 }
 
 // Context-aware versions for static layer rendering
 function drawAltitudeRings(ctx, center, baseR, varR) {
     const altMax = range.altMax;
-    const step = UI.ringStep;
-    const maxAlt = niceCeilToStep(altMax, step);
-    const minAlt = 0;
     ctx.push();
     ctx.textSize(8);
-    for (let alt = minAlt; alt <= maxAlt; alt += step) {
+    for (const { alt, relevant, label } of altitudeGuideLevels(altMax)) { // flight levels or metres
         const rr = baseR + map(alt, 0, altMax, 0, varR, true);
-        const fl = Math.round(alt / 100);
-        const kft = Math.round(alt / 1000);
-        const relevant = trackDir
-            ? (trackDir === 'E' ? (kft % 2 === 1) : (kft % 2 === 0))
-            : true;
         ctx.noFill();
         ctx.stroke(0, 0, 100, relevant ? UI.ringAlpha : UI.nonRelevantRingAlpha);
         ctx.strokeWeight(relevant ? 2 : 1);
@@ -803,25 +2597,207 @@ function drawAltitudeRings(ctx, center, baseR, varR) {
             ctx.noStroke();
             ctx.fill(0, 0, 100, UI.labelAlpha);
             ctx.textAlign(CENTER, BOTTOM);
-            const flStr = `FL${nf(fl, 3)}`;
-            ctx.text(flStr, center.x, center.y - rr - 2);
+            ctx.text(label, center.x, center.y - rr - 2);
             ctx.stroke(0, 0, 100, UI.ringAlpha);
         }
     }
-    ctx.pop();
-    console.log("Altitude rings drawn");
+    ctx.pop();
+    console.log("Altitude rings drawn");
+
+}
+// Semicircular rule: odd thousands of feet eastbound, even westbound (every level when the direction is unknown)
+function isRelevantFlightLevel(alt) {
+    const kft = Math.round(alt / 1000);
+    return trackDir ? (trackDir === 'E' ? (kft % 2 === 1) : (kft % 2 === 0)) : true;
+}
+
+function drawStartEndMarker(ctx, center, baseR, varR) {
+    const x = center.x;
+    const y0 = center.y + baseR;
+    const y1 = center.y + baseR + varR;
+    ctx.push();
+    ctx.stroke(0, 80, 90, 40);
+    ctx.strokeWeight(2);
+    ctx.line(x, y0, x, y1);
+    ctx.pop();
+    console.log("Start/End marker drawn");
+}
+
+// Thin coloured arcs outside the outer ring, one per flight phase segment
+function drawPhaseBand(ctx, center, radius) {
+    if (!phaseSegments.length) return;
+    ctx.push();
+    ctx.colorMode(RGB, 255, 255, 255, 100);
+    ctx.noFill();
+    ctx.strokeWeight(3);
+    ctx.strokeCap(SQUARE);
+    for (const seg of phaseSegments) {
+        // Clip to the brushed window
+        const a0 = HALF_PI + timeFracForRow({ timestampMs: Math.max(seg.startMs, viewRange.startMs) }) * TWO_PI;
+        const a1 = HALF_PI + timeFracForRow({ timestampMs: Math.min(seg.endMs, viewRange.endMs) }) * TWO_PI;
+        if (!(a1 > a0)) continue;
+        const [r, g, b] = FLIGHT_PHASES[seg.phase].color;
+        ctx.stroke(r, g, b, 80);
+        ctx.arc(center.x, center.y, radius * 2, radius * 2, a0, a1);
+    }
+    ctx.pop();
+}
+
+// Radial ticks with a short label for takeoffs, landings, go-arounds and touch-and-gos
+function drawFlightEventMarkers(ctx, center, outerR) {
+    if (!flightEvents.length) return;
+    ctx.push();
+    ctx.textSize(8);
+    ctx.textAlign(CENTER, CENTER);
+    for (const ev of flightEvents) {
+        if (!inViewRange(ev.idx)) continue;
+        const ang = HALF_PI + timeFracForRow({ timestampMs: ev.ms }) * TWO_PI;
+        const unusual = ev.type === 'go-around' || ev.type === 'touch-and-go';
+        ctx.stroke(0, 0, 100, unusual ? 80 : 40);
+        ctx.strokeWeight(1);
+        ctx.line(center.x + cos(ang) * (outerR + 1), center.y + sin(ang) * (outerR + 1),
+                 center.x + cos(ang) * (outerR + 10), center.y + sin(ang) * (outerR + 10));
+        if (unusual) {
+            ctx.noStroke();
+            ctx.fill(0, 0, 100, 85);
+            ctx.text(FLIGHT_EVENT_LABELS[ev.type].short, center.x + cos(ang) * (outerR + 28), center.y + sin(ang) * (outerR + 28));
+        }
+    }
+    ctx.pop();
+}
+
+// Spiral layout: ground line of every turn, start marker with the UTC time each turn begins,
+// phase band between the turns and event ticks across the altitude band
+function drawSpiralGuides(ctx, geom) {
+    const { center, baseR, bandW, turns, turnMs } = geom;
+    const t0 = viewRange.startMs, t1 = viewRange.endMs;
+    const spiralPath = (ms0, ms1, band) => {
+        const step = turnMs / 180; // one vertex every 2°
+        ctx.beginShape();
+        for (let ms = ms0; ; ms += step) {
+            const pt = spiralPoint(geom, Math.min(ms, ms1), band);
+            ctx.vertex(pt.x, pt.y);
+            if (ms >= ms1) break;
+        }
+        ctx.endShape();
+    };
+    ctx.push();
+    ctx.noFill();
+    ctx.stroke(0, 0, 100, UI.ringAlpha);
+    ctx.strokeWeight(1);
+    spiralPath(t0, t1, 0);
+
+    ctx.stroke(0, 80, 90, 40);
+    ctx.strokeWeight(2);
+    ctx.line(center.x, center.y + baseR, center.x, center.y + baseR + (Math.floor(turns) + SPIRAL_ALT_SHARE) * bandW);
+    ctx.noStroke();
+    ctx.fill(0, 0, 100, UI.labelAlpha);
+    ctx.textSize(8);
+    ctx.textAlign(RIGHT, CENTER);
+    const labelEvery = Math.ceil(10 / bandW); // keep the labels 10 px apart
+    for (let k = 0; k <= turns; k += labelEvery) {
+        const pt = spiralPoint(geom, t0 + k * turnMs, SPIRAL_ALT_SHARE / 2);
+        ctx.text(utcHHMM(t0 + k * turnMs), pt.x - 5, pt.y);
+    }
+
+    if (phaseSegments.length) {
+        ctx.push();
+        ctx.colorMode(RGB, 255, 255, 255, 100);
+        ctx.noFill();
+        ctx.strokeWeight(Math.min(3, bandW * (1 - SPIRAL_ALT_SHARE) * 0.6));
+        ctx.strokeCap(SQUARE);
+        for (const seg of phaseSegments) {
+            const ms0 = Math.max(seg.startMs, t0), ms1 = Math.min(seg.endMs, t1);
+            if (!(ms1 > ms0)) continue;
+            const [r, g, b] = FLIGHT_PHASES[seg.phase].color;
+            ctx.stroke(r, g, b, 80);
+            spiralPath(ms0, ms1, (1 + SPIRAL_ALT_SHARE) / 2);
+        }
+        ctx.pop();
+    }
+
+    ctx.textAlign(CENTER, CENTER);
+    for (const ev of flightEvents) {
+        if (!inViewRange(ev.idx)) continue;
+        const unusual = ev.type === 'go-around' || ev.type === 'touch-and-go';
+        const a = spiralPoint(geom, ev.ms, 0), b = spiralPoint(geom, ev.ms, SPIRAL_ALT_SHARE);
+        ctx.stroke(0, 0, 100, unusual ? 80 : 40);
+        ctx.strokeWeight(1);
+        ctx.line(a.x, a.y, b.x, b.y);
+        if (unusual) {
+            const lbl = polarPoint(center, b.angle, b.radius + 10);
+            ctx.noStroke();
+            ctx.fill(0, 0, 100, 85);
+            ctx.text(FLIGHT_EVENT_LABELS[ev.type].short, lbl.x, lbl.y);
+        }
+    }
+    ctx.pop();
+}
+
+// Ribbon layout: altitude grid (flight levels or metres), UTC time axis, phase strip under the profile and event ticks
+function drawRibbonGuides(ctx, geom) {
+    const { x0, x1, yTop, yBase, altTop } = geom;
+    const xAt = (ms) => lerp(x0, x1, timeFracForRow({ timestampMs: ms }));
+    ctx.push();
+    ctx.textSize(8);
+    for (const { alt, relevant, label } of altitudeGuideLevels(altTop)) {
+        const y = map(alt, 0, altTop, yBase, yTop);
+        ctx.stroke(0, 0, 100, relevant ? UI.ringAlpha : UI.nonRelevantRingAlpha);
+        ctx.strokeWeight(alt === 0 ? 2 : 1);
+        ctx.line(x0, y, x1, y);
+        if (relevant) {
+            ctx.noStroke();
+            ctx.fill(0, 0, 100, UI.labelAlpha);
+            ctx.textAlign(RIGHT, CENTER);
+            ctx.text(label, x0 - 6, y);
+        }
+    }
+
+    // Time axis: at most a dozen round UTC times across the window
+    const spanMs = viewRange.endMs - viewRange.startMs;
+    const stepMin = [5, 10, 15, 30, 60, 120, 180, 360].find(m => spanMs / (m * 60 * 1000) <= 12) || 720;
+    const stepMs = stepMin * 60 * 1000;
+    ctx.textAlign(CENTER, TOP);
+    for (let ms = Math.ceil(viewRange.startMs / stepMs) * stepMs; ms <= viewRange.endMs; ms += stepMs) {
+        const x = xAt(ms);
+        ctx.stroke(0, 0, 100, UI.nonRelevantRingAlpha);
+        ctx.strokeWeight(1);
+        ctx.line(x, yTop, x, yBase);
+        ctx.noStroke();
+        ctx.fill(0, 0, 100, UI.labelAlpha);
+        ctx.text(utcHHMM(ms), x, yBase + 16);
+    }
+
+    if (phaseSegments.length) {
+        ctx.push();
+        ctx.colorMode(RGB, 255, 255, 255, 100);
+        ctx.strokeWeight(3);
+        ctx.strokeCap(SQUARE);
+        for (const seg of phaseSegments) {
+            const xa = xAt(Math.max(seg.startMs, viewRange.startMs));
+            const xb = xAt(Math.min(seg.endMs, viewRange.endMs));
+            if (!(xb > xa)) continue;
+            const [r, g, b] = FLIGHT_PHASES[seg.phase].color;
+            ctx.stroke(r, g, b, 80);
+            ctx.line(xa, yBase + 6, xb, yBase + 6);
+        }
+        ctx.pop();
+    }
 
-}
-function drawStartEndMarker(ctx, center, baseR, varR) {
-    const x = center.x;
-    const y0 = center.y + baseR;
-    const y1 = center.y + baseR + varR;
-    ctx.push();
-    ctx.stroke(0, 80, 90, 40);
-    ctx.strokeWeight(2);
-    ctx.line(x, y0, x, y1);
+    for (const ev of flightEvents) {
+        if (!inViewRange(ev.idx)) continue;
+        const x = xAt(ev.ms);
+        const unusual = ev.type === 'go-around' || ev.type === 'touch-and-go';
+        ctx.stroke(0, 0, 100, unusual ? 80 : 40);
+        ctx.strokeWeight(1);
+        ctx.line(x, yBase + 1, x, yBase + 10);
+        if (unusual) {
+            ctx.noStroke();
+            ctx.fill(0, 0, 100, 85);
+            ctx.text(FLIGHT_EVENT_LABELS[ev.type].short, x, yBase + 30);
+        }
+    }
     ctx.pop();
-    console.log("Start/End marker drawn");
 }
 
 function drawTextAlongCircle(ctx, center, radius, label, angleCenter, outward = true, letterSpacing = 1, align = 'center') {
@@ -882,18 +2858,13 @@ function drawTextAlongCircle(ctx, center, radius, label, angleCenter, outward =
 }
 
 // ======= Interaction + math helpers (kept in section [4]) =======
-function getIndexFromMouse(center, count) {
-    const dx = mouseX - center.x; // h offset between mouse and center of rosette
-    const dy = mouseY - center.y; // v offset between mouse and center of rosette
-    let ang = Math.atan2(dy, dx); // angle in radians
-    let t = (ang - HALF_PI) % TWO_PI; // rotate so 0 = top (12 o'clock), instead of 3 o'clock
-    if (t < 0) t += TWO_PI; // ensure t is in [0, 2π]
-    t /= TWO_PI; // normalize angle (progress) to [0, 1]. Fraction of the rosette
-
-    const targetimestampMs = startTimestampMs + t * (endTimestampMs - startTimestampMs);
-    let bestIdx = 0;
+// Row under the mouse: the layout turns the position into a time, then the nearest row in the window wins
+function getIndexFromMouse(geom, count) {
+    const targetimestampMs = geom.layout.timeAt(geom, mouseX, mouseY);
+    const t = timeFracForRow({ timestampMs: targetimestampMs }); // fraction of the window
+    let bestIdx = viewRange.i0;
     let bestDiff = Infinity;
-    for (let i = 0; i < rows.length; i++) {
+    for (let i = viewRange.i0; i <= viewRange.i1; i++) {
         const d = Math.abs(rows[i].timestampMs - targetimestampMs);
         if (d < bestDiff) { bestDiff = d; bestIdx = i; }
     }
@@ -970,7 +2941,8 @@ function drawHeadingViz(center, baseR, headingDeg) {
 }
 
 function updateInfoCard(p) {
-    const tStr = (Number.isFinite(p.timestampMs)) ? formatUTC(p.timestampMs) : '—';
+    let tStr = (Number.isFinite(p.timestampMs)) ? formatUTC(p.timestampMs) : '—';
+    if (rows[p.idx] && rows[p.idx].synthetic) tStr += '<br><em>reconstructed</em>'; // gap-fill point, not measured
     
     const takeMs = Number.isFinite(actualTakeOffMs) ? actualTakeOffMs : startTimestampMs;
     const landMs = Number.isFinite(actualLandingMs) ? actualLandingMs : endTimestampMs;
@@ -990,10 +2962,35 @@ function updateInfoCard(p) {
         ? '0° Leveled' 
         : `${nf(fpa, 1, 1)}° ${fpa > 0 ? '↑ Climb' : '↓ Descent'}`;
     const hdgStr = Number.isFinite(p.hdg) ? `${Math.round(p.hdg)}°` : '—';
-    const spdStr = Number.isFinite(p.spd) ? `${Math.round(p.spd)} kt` : '—';
-    const altStr = Number.isFinite(p.alt) ? `${Math.round(p.alt).toLocaleString('fr-FR')} ft` : '—';
+    const spdStr = formatQuantity('speed', p.spd);
+    const altStr = formatQuantity('altitude', p.alt);
     const locStr = formatLatLon(p.lat, p.lon);
 
+    // Distance flown since takeoff / remaining to landing along the selected leg's track
+    const totalNm = distanceFlownNm(flownRange.iStart, flownRange.iEnd);
+    let flownStr = '—', remainingStr = '—';
+    if (rows[p.idx] && Number.isFinite(totalNm)) {
+        const flownNm = constrain(rows[p.idx].distNm - rows[flownRange.iStart].distNm, 0, totalNm);
+        flownStr = formatNm(flownNm);
+        remainingStr = formatNm(totalNm - flownNm);
+    }
+
+    // Current phase with the total time spent in it, and the duration of the segment under the cursor
+    const seg = phaseSegmentAt(p.idx);
+    let phaseStr = '—';
+    if (seg) {
+        const [r, g, b] = FLIGHT_PHASES[seg.phase].color;
+        // Within the selected leg, clipped to the brushed view range
+        const leg = legs[selectedLegIdx];
+        const legStartMs = leg ? rows[leg.i0].timestampMs : startTimestampMs;
+        const legEndMs = leg ? rows[leg.i1].timestampMs : endTimestampMs;
+        const totalMs = phaseTotalMs(seg.phase, Math.max(legStartMs, viewRange.startMs), Math.min(legEndMs, viewRange.endMs));
+        const segMs = seg.endMs - seg.startMs;
+        phaseStr = `<span class="phase-dot" style="background: rgb(${r}, ${g}, ${b})"></span>` +
+            `${FLIGHT_PHASES[seg.phase].label} · ${formatDuration(totalMs)}` +
+            (segMs < totalMs ? `<br><span class="k">this stretch ${formatDuration(segMs)}</span>` : '');
+    }
+
     const refs = window.infoRefs || {};
     const set = (el, v) => { if (el) el.innerHTML = v; };
 
@@ -1006,6 +3003,9 @@ function updateInfoCard(p) {
         set(refs.loc, locStr);
         set(refs.alt, altStr);
         set(refs.tilt, fpaStr);
+        set(refs.phase, phaseStr);
+        set(refs.flown, flownStr);
+        set(refs.remaining, remainingStr);
     }
 }
 
@@ -1026,19 +3026,428 @@ function estimateFlightPathAngleDeg(i) {
     return degrees(angRad);
 }
 
+// Rate of heading change around row i (°/s, right turns positive), from its neighbours
+function turnRateDegS(i) {
+    const prev = rows[Math.max(0, i - 1)];
+    const next = rows[Math.min(rows.length - 1, i + 1)];
+    if (!prev || !next || !Number.isFinite(prev.hdg) || !Number.isFinite(next.hdg)) return null;
+    const dt = (next.timestampMs - prev.timestampMs) / 1000;
+    if (!(dt > 0)) return null;
+    const dHdg = ((next.hdg - prev.hdg + 540) % 360) - 180; // shortest way round
+    return dHdg / dt;
+}
+
 // ============================== [5] UI COMPONENTS ===================================
-//                             (Minimap & Speed Chart)
+//                          (Minimap & Metric Charts)
+
+// SAMPLE GALLERY
+// Bundled flights from "Sample CSVs" on the welcome screen: a thumbnail rosette per file,
+// the README description, and one-click loading through loadFlightText().
+const SAMPLE_DIR = 'Sample CSVs/';
+const SAMPLE_FLIGHTS = [
+    { file: 'EK88_3bae98e4.csv',   description: 'Long flight, eastbound, incomplete data' },
+    { file: 'EK93_3bd5a240.csv',   description: 'Long flight, westbound' },
+    { file: 'LX1661_3be1d3f4.csv', description: 'Short flight, westbound' }
+];
+const SAMPLE_THUMB_PX = 96;
+const sampleTexts = new Map(); // file → Promise<string>, fetched once
+
+function fetchSampleText(sample) {
+    if (!sampleTexts.has(sample.file)) {
+        const req = fetch(encodeURI(SAMPLE_DIR + sample.file)).then(res => {
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return res.text();
+        });
+        req.catch(() => sampleTexts.delete(sample.file)); // allow a retry on the next click
+        sampleTexts.set(sample.file, req);
+    }
+    return sampleTexts.get(sample.file);
+}
+
+function createSampleGallery() {
+    const host = dom.sampleGallery;
+    if (!host) return;
+    host.innerHTML = '';
+    for (const sample of SAMPLE_FLIGHTS) {
+        const card = document.createElement('button');
+        card.type = 'button';
+        card.className = 'sample-card';
+        const thumb = document.createElement('canvas');
+        thumb.className = 'sample-thumb';
+        thumb.width = thumb.height = SAMPLE_THUMB_PX * 2; // crisp on high-density screens
+        const title = document.createElement('strong');
+        title.textContent = sample.file.split('_')[0]; // flight number, e.g. "EK93"
+        const desc = document.createElement('span');
+        desc.textContent = sample.description;
+        card.append(thumb, title, desc);
+        card.addEventListener('click', () => loadSampleFlight(sample, card));
+        host.appendChild(card);
+
+        fetchSampleText(sample)
+            .then(text => drawSampleThumbnail(thumb, text, sample.file))
+            .catch(() => card.classList.add('unavailable'));
+    }
+}
+
+async function loadSampleFlight(sample, card) {
+    if (card.classList.contains('loading')) return;
+    card.classList.add('loading');
+    try {
+        const text = await fetchSampleText(sample);
+        card.classList.remove('unavailable');
+        await loadFlightText(text, sample.file, { sampleFile: sample.file });
+    } catch (err) {
+        card.classList.add('unavailable');
+        alert(`Could not load the sample ${sample.file}: ${err.message}`);
+    } finally {
+        card.classList.remove('loading');
+    }
+}
+
+function drawSampleThumbnail(canvas, text, fileName) {
+    const importer = pickImporter(fileName, text);
+    if (!importer) return;
+    const list = validateParsedFlight(importer.parse(text), importOptions, fileName).rows; // no prepare step: columns auto-detected
+    drawRosetteThumbnail(canvas, list);
+}
+
+// Miniature rosette (time → angle, altitude → radius, speed → colour) drawn straight from
+// parsed rows, so the loaded flight and its derived state stay untouched
+function drawRosetteThumbnail(canvas, list) {
+    if (list.length < 2) return;
+
+    let altMin = Infinity, altMax = -Infinity;
+    for (const r of list) {
+        if (Number.isFinite(r.alt)) { altMin = Math.min(altMin, r.alt); altMax = Math.max(altMax, r.alt); }
+    }
+    const t0 = list[0].timestampMs, t1 = list[list.length - 1].timestampMs;
+    const size = canvas.width, c = size / 2;
+    const varR = size * 0.24, baseR = size * 0.46 - varR;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, size, size);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.lineWidth = 1;
+    for (const r of [baseR, baseR + varR]) {
+        ctx.beginPath();
+        ctx.arc(c, c, r, 0, TWO_PI);
+        ctx.stroke();
+    }
+
+    const point = (r) => {
+        const angle = HALF_PI + TWO_PI * (r.timestampMs - t0) / Math.max(1, t1 - t0);
+        const radius = baseR + (altMax > altMin ? constrain((r.alt - altMin) / (altMax - altMin), 0, 1) : 0) * varR;
+        return [c + Math.cos(angle) * radius, c + Math.sin(angle) * radius];
+    };
+    ctx.lineCap = 'round';
+    ctx.lineWidth = size / 64;
+    let prev = point(list[0]);
+    for (let i = 1; i < list.length; i++) {
+        const cur = point(list[i]);
+        const col = speedColor(list[i].spd);
+        ctx.strokeStyle = `rgb(${col.r}, ${col.g}, ${col.b})`;
+        ctx.beginPath();
+        ctx.moveTo(prev[0], prev[1]);
+        ctx.lineTo(cur[0], cur[1]);
+        ctx.stroke();
+        prev = cur;
+    }
+}
+
+// FLIGHT LIBRARY
+// Every successfully imported flight is kept in IndexedDB as its validated { rows, callsign, report },
+// so it can be reopened without parsing, plus the metadata and thumbnail shown on the welcome screen.
+// Records: { id, callsign, source, startMs, durationMs, rowCount, savedAt, thumbnail (data URL), flight }
+const LIBRARY_DB = 'skyTrail';
+const LIBRARY_STORE = 'flights';
+let libraryDbPromise = null;
+let libraryEntries = []; // metadata of the stored flights (without rows), newest first
+
+function openLibraryDb() {
+    if (!libraryDbPromise) {
+        libraryDbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB is not available')); return; }
+            const req = indexedDB.open(LIBRARY_DB, 1);
+            req.onupgradeneeded = () => req.result.createObjectStore(LIBRARY_STORE, { keyPath: 'id' });
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        libraryDbPromise.catch(() => { libraryDbPromise = null; });
+    }
+    return libraryDbPromise;
+}
+
+// Run one request against the flights store; resolves with its result
+async function libraryRequest(mode, makeRequest) {
+    const db = await openLibraryDb();
+    return new Promise((resolve, reject) => {
+        const req = makeRequest(db.transaction(LIBRARY_STORE, mode).objectStore(LIBRARY_STORE));
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// Same flight imported twice (same callsign, first timestamp and row count) overwrites its entry
+function libraryIdFor(parsed) {
+    const first = parsed.rows[0];
+    return `${parsed.callsign || 'flight'}-${first ? first.timestampMs : 0}-${parsed.rows.length}`;
+}
+
+async function saveFlightToLibrary(parsed) {
+    const id = libraryIdFor(parsed);
+    parsed.libraryId = id; // the loaded flight knows its library entry
+    const list = parsed.rows;
+    const thumb = document.createElement('canvas');
+    thumb.width = thumb.height = SAMPLE_THUMB_PX * 2;
+    drawRosetteThumbnail(thumb, list);
+    const record = {
+        id,
+        callsign: parsed.callsign || '',
+        source: (parsed.report && parsed.report.source) || '',
+        startMs: list[0].timestampMs,
+        durationMs: list[list.length - 1].timestampMs - list[0].timestampMs,
+        rowCount: list.length,
+        savedAt: Date.now(),
+        thumbnail: thumb.toDataURL('image/png'),
+        flight: { rows: list, callsign: parsed.callsign, report: parsed.report, sampleFile: parsed.sampleFile }
+    };
+    try {
+        await libraryRequest('readwrite', store => store.put(record));
+    } catch (err) {
+        console.warn('Flight library: could not save', err); // e.g. private browsing or quota
+    }
+    refreshFlightLibrary();
+}
+
+// Reload the metadata list (rows stay in the database until a flight is opened)
+async function refreshFlightLibrary() {
+    try {
+        const all = await libraryRequest('readonly', store => store.getAll());
+        libraryEntries = all
+            .map(({ flight, ...meta }) => meta)
+            .sort((a, b) => b.savedAt - a.savedAt);
+    } catch (err) {
+        libraryEntries = [];
+    }
+    renderFlightLibrary();
+}
+
+async function openLibraryFlight(id) {
+    let record = null;
+    try {
+        record = await libraryRequest('readonly', store => store.get(id));
+    } catch (err) {
+        console.warn('Flight library: could not read', err);
+    }
+    if (!record) {
+        alert('This flight is no longer in the library.');
+        refreshFlightLibrary();
+        return;
+    }
+    const parsed = { ...record.flight, libraryId: record.id };
+    showParsedFlight(parsed);
+}
+
+async function deleteLibraryFlight(id) {
+    try {
+        await libraryRequest('readwrite', store => store.delete(id));
+    } catch (err) {
+        console.warn('Flight library: could not delete', err);
+    }
+    refreshFlightLibrary();
+}
+
+// Welcome-screen list, filtered by the search box (callsign, file name or date)
+function renderFlightLibrary() {
+    if (!dom.libraryList) return;
+    if (dom.library) dom.library.classList.toggle('hidden', !libraryEntries.length);
+    const q = (dom.librarySearch ? dom.librarySearch.value : '').trim().toLowerCase();
+    const dateOf = (ms) => Number.isFinite(ms) ? formatUTC(ms).split('<br>')[0] : '';
+    const shown = libraryEntries.filter(e =>
+        !q || [e.callsign, e.source, dateOf(e.startMs)].some(v => String(v).toLowerCase().includes(q)));
+
+    dom.libraryList.innerHTML = '';
+    if (!shown.length) {
+        const empty = document.createElement('div');
+        empty.className = 'library-empty';
+        empty.textContent = 'No stored flight matches your search.';
+        dom.libraryList.appendChild(empty);
+        return;
+    }
+    for (const e of shown) {
+        const item = document.createElement('div');
+        item.className = 'library-item';
+        item.title = e.source;
+
+        const open = document.createElement('button');
+        open.type = 'button';
+        open.className = 'library-open';
+        const img = document.createElement('img');
+        img.className = 'library-thumb';
+        img.src = e.thumbnail;
+        img.alt = '';
+        const text = document.createElement('span');
+        const name = document.createElement('strong');
+        name.textContent = e.callsign || e.source || 'Flight';
+        const meta = document.createElement('span');
+        meta.className = 'k';
+        meta.textContent = `${dateOf(e.startMs)} · ${formatDuration(e.durationMs)} · ${e.rowCount} points`;
+        text.append(name, meta);
+        open.append(img, text);
+        open.addEventListener('click', () => openLibraryFlight(e.id));
+
+        const del = document.createElement('button');
+        del.type = 'button';
+        del.className = 'library-delete';
+        del.title = 'Remove from library';
+        del.setAttribute('aria-label', `Remove ${name.textContent} from library`);
+        del.textContent = '×';
+        del.addEventListener('click', () => deleteLibraryFlight(e.id));
+
+        item.append(open, del);
+        dom.libraryList.appendChild(item);
+    }
+}
+
+// IMPORT REPORT
+// Summary panel of what the validation pass kept, dropped or flagged.
+function renderImportReport(report) {
+    if (!dom.importReport || !report) return;
+
+    const pct = report.inputRows ? (100 * report.keptRows / report.inputRows) : 0;
+    const notes = [];
+    if (report.sorted) notes.push('rows sorted by time');
+    const source = report.source ? ` from <code>${report.source.replace(/</g, '&lt;')}</code>` : '';
+    dom.importReportSummary.innerHTML =
+        `Visualised <strong>${report.keptRows}</strong> of ${report.inputRows} rows (${nf(pct, 1, 1)}%)${source}` +
+        (notes.length ? `<br><span class="k">${notes.join(', ')}</span>` : '');
+
+    // One entry per issue type, with the first few line/point references as examples
+    const MAX_EXAMPLES = 6;
+    const items = [];
+    for (const [type, meta] of Object.entries(IMPORT_ISSUE_TYPES)) {
+        const list = report.issues.filter(it => it.type === type);
+        if (!list.length) continue;
+        const refs = list.slice(0, MAX_EXAMPLES).map(it =>
+            it.line !== undefined ? `line ${it.line}` : it.point !== undefined ? `point ${it.point}` : it.message
+        );
+        if (list.length > MAX_EXAMPLES) refs.push('…');
+        const dropped = meta.dropped && list.some(it => it.dropped !== false);
+        items.push(
+            `<li class="info-row"><span class="k">${meta.label}${dropped ? ' (dropped)' : ''}</span><span class="v">${list.length}</span></li>` +
+            `<li class="import-report-refs">${refs.join(', ')}</li>`
+        );
+    }
+    dom.importReportList.innerHTML = items.length ? items.join('') : '<li class="info-row"><span class="k">No problems found</span></li>';
+    dom.importReport.classList.remove('hidden');
+}
+
+// PLAYBACK
+// The selection "flies" through the view range by timestamp (1×, 10×, 60×, 600×); the bar under the rosette shows and scrubs it.
+
+function togglePlayback() {
+    if (playback.playing) stopPlayback();
+    else startPlayback();
+}
+
+// Start from the current selection (or from the window start when it sits at the end)
+function startPlayback() {
+    if (!rows.length) return;
+    if (selectedIdx >= viewRange.i1) selectedIdx = viewRange.i0;
+    playback.ms = rows[selectedIdx].timestampMs;
+    playback.playing = true;
+    setCursorFollow(false); // the plane stays where playback leaves it
+    updatePlaybackBar();
+}
+
+function stopPlayback() {
+    playback.playing = false;
+    updatePlaybackBar();
+}
+
+// Advance the playback clock by dtMs of wall time and select the last row at or before it
+function advancePlayback(dtMs) {
+    if (!Number.isFinite(playback.ms)) playback.ms = viewRange.startMs;
+    playback.ms += dtMs * playback.speed;
+    if (playback.ms >= viewRange.endMs) {
+        if (playback.loop) {
+            playback.ms = viewRange.startMs;
+        } else {
+            playback.ms = viewRange.endMs;
+            playback.playing = false;
+        }
+    }
+    let i = indexAtTime(playback.ms);
+    if (rows[i].timestampMs > playback.ms && i > 0) i--;
+    selectedIdx = constrain(i, viewRange.i0, viewRange.i1);
+}
+
+// Scrubber input: t = fraction of the view range
+function scrubTo(t) {
+    if (!rows.length) return;
+    const ms = viewRange.startMs + constrain(t, 0, 1) * (viewRange.endMs - viewRange.startMs);
+    playback.ms = ms;
+    selectedIdx = constrain(indexAtTime(ms), viewRange.i0, viewRange.i1);
+    if (!playback.playing) setCursorFollow(false); // keep the scrubbed point selected
+}
+
+// Sync the scrubber, clock and play button with the selection (called every frame, touches the DOM only on change)
+let lastPlaybackBarKey = '';
+function updatePlaybackBar() {
+    const row = rows[selectedIdx];
+    const ms = playback.playing && Number.isFinite(playback.ms) ? playback.ms : (row ? row.timestampMs : NaN);
+    const key = `${playback.playing}|${ms}|${viewRange.startMs}|${viewRange.endMs}`;
+    if (key === lastPlaybackBarKey) return;
+    lastPlaybackBarKey = key;
+
+    if (dom.playbackPlay) {
+        dom.playbackPlay.textContent = playback.playing ? '❚❚' : '▶';
+        dom.playbackPlay.setAttribute('aria-label', playback.playing ? 'Pause playback' : 'Play flight');
+    }
+    const span = viewRange.endMs - viewRange.startMs;
+    if (dom.playbackScrub) {
+        dom.playbackScrub.value = (Number.isFinite(ms) && span > 0)
+            ? String(Math.round(Number(dom.playbackScrub.max) * (ms - viewRange.startMs) / span))
+            : '0';
+    }
+    if (dom.playbackTime) {
+        dom.playbackTime.textContent = Number.isFinite(ms) ? formatUTC(ms).split('<br>')[1] : '—';
+    }
+}
+
+// VIEW RANGE BREADCRUMBS
+// "Whole flight › 14:02:10–14:31:55 › ..." above the speed chart; each crumb steps back out to that window
+function renderViewBreadcrumbs() {
+    if (!dom.viewRangeBar) return;
+    const hms = (ms) => formatUTC(ms).split('<br>')[1].slice(0, 8);
+    const windows = viewStack.concat([viewRange]);
+    const crumbs = windows.map((r, depth) => {
+        const label = depth === 0 ? 'Whole flight' : `${hms(r.startMs)}–${hms(r.endMs)}`;
+        return depth < windows.length - 1
+            ? `<button type="button" class="crumb" data-depth="${depth}">${label}</button>`
+            : `<span class="crumb current">${label}</span>`;
+    });
+    const list = dom.viewRangeBar.querySelector('.crumbs');
+    if (list) list.innerHTML = crumbs.join('<span class="crumb-sep">›</span>');
+    dom.viewRangeBar.classList.toggle('hidden', viewStack.length === 0);
+}
 
 // MINIMAP
 let minimap = null;
+const MINIMAP_MAX_ZOOM = 64;  // × the fitted view
+const MINIMAP_HOVER_PX = 16;  // hover picks the nearest point within this radius
+const MINIMAP_CLICK_PX = 24;
 
 function createMinimap() {
     const sketch = (p) => {
         let pad = 12;
         let projected = []; // [{x,y}]
-        let bounds = null; // {minLat, maxLat, minLon, maxLon}
-        let s = 1, offX = 0, offY = 0;
+        let arcProjected = []; // reference great-circle arc origin → destination [{x,y}]
+        let proj = null; // Web Mercator fit, see createGeoProjection()
+        let basemapLines = []; // WORLD_BASEMAP polylines clipped and simplified to the fit [{pts:[{x,y}], kind}]
         let staticLayer = null; // off-screen buffer for static drawings (frame, path, endpoints)
+        let view = { zoom: 1, x: 0, y: 0 }; // user zoom/pan on top of the fit: screen = fit * zoom + (x, y)
+        let hovering = false; // pointer is over the minimap (it owns the cursor, see cursorOwner)
 
         p.setup = () => {
             const host = dom.flightPathHost;
@@ -1053,13 +3462,20 @@ function createMinimap() {
             // Create static layer and render static content into it
             staticLayer = p.createGraphics(w, h);
             staticLayer.pixelDensity(2);
-            drawFrame(staticLayer);
-            drawPath(staticLayer);
-            drawEndpoints(staticLayer);
+            drawStatic(staticLayer);
             // Observe resize after initial render
             observeResize(host);
+            attachPointerHandlers(host);
         };
 
+        function drawStatic(ctx) {
+            drawFrame(ctx);
+            drawBasemap(ctx);
+            drawReferenceArc(ctx);
+            drawPath(ctx);
+            drawEndpoints(ctx);
+        }
+
         function observeResize(host) {
             const ro = new ResizeObserver(() => {
                 const newW = host.clientWidth;
@@ -1068,64 +3484,81 @@ function createMinimap() {
                 rebuild();
                 staticLayer = p.createGraphics(newW, newH);
                 staticLayer.pixelDensity(2);
-                drawFrame(staticLayer);
-                drawPath(staticLayer);
-                drawEndpoints(staticLayer);
+                drawStatic(staticLayer);
                 p.redraw();
             });
             ro.observe(host);
         }
 
-        function computeFit() {
-            const track = window.skyTrailState.track;
-            if (!track.length) {
-                bounds = null;
-                return;
-            }
-            let minLat = +Infinity, maxLat = -Infinity, minLon = +Infinity, maxLon = -Infinity;
-            for (const pt of track) {
-                if (Number.isFinite(pt.lat)) {
-                    if (pt.lat < minLat) minLat = pt.lat;
-                    if (pt.lat > maxLat) maxLat = pt.lat;
-                }
-                if (Number.isFinite(pt.lon)) {
-                    if (pt.lon < minLon) minLon = pt.lon;
-                    if (pt.lon > maxLon) maxLon = pt.lon;
-                }
-            }
-            bounds = { minLat, maxLat, minLon, maxLon };
-
-            const innerW = Math.max(1, p.width  - pad*2);
-            const innerH = Math.max(1, p.height - pad*2);
-            const lonSpan = Math.max(1e-9, maxLon - minLon);
-            const latSpan = Math.max(1e-9, maxLat - minLat);
-            const sx = innerW / lonSpan;
-            const sy = innerH / latSpan;
-            s = Math.min(sx, sy);
+        // Great-circle reference between the first and last point of the selected leg
+        function referenceArc(track) {
+            const a = track[flownRange.iStart], b = track[flownRange.iEnd];
+            if (!a || !b || ![a.lat, a.lon, b.lat, b.lon].every(Number.isFinite)) return [];
+            if (haversineNm(a.lat, a.lon, b.lat, b.lon) < 1) return [];
+            return greatCircleArc(a.lat, a.lon, b.lat, b.lon);
+        }
 
-            const wTrack = lonSpan * s;
-            const hTrack = latSpan * s;
-            offX = pad + (innerW - wTrack) / 2;
-            offY = pad + (innerH - hTrack) / 2;
+        function computeFit(track, arc) {
+            // Fit track and arc together so a reference arc bulging away from the track stays visible
+            proj = track.length ? createGeoProjection(track.concat(arc), p.width, p.height, pad) : null;
         }
 
         function project(pt) {
-            // Convert geographic coordinates to canvas coordinates
-            // X is derived from longitude, scaled by zoom factor `s` and shifted by offset `offX`
-            const x = (pt.lon - bounds.minLon) * s + offX;
-
-            // Y is derived from latitude, also scaled and offset
-            // Invert the vertical axis (p5.js origin is top-left, but we want north-up)
-            const y = p.height - ((pt.lat - bounds.minLat) * s + offY);
-            return { x, y };
+            // Geographic → canvas coordinates (longitudes unwrapped around the fitted centre), then zoom/pan
+            const b = proj.project(pt.lat, pt.lon);
+            return { x: b.x * view.zoom + view.x, y: b.y * view.zoom + view.y };
         }
 
         function rebuild() {
             projected.length = 0;
-            computeFit();
-            if (!bounds) return;
+            arcProjected.length = 0;
             const track = window.skyTrailState.track;
+            const arc = referenceArc(track);
+            computeFit(track.slice(viewRange.i0, viewRange.i1 + 1), arc); // fit the brushed window only
+            if (!proj) return;
+            reproject(track, arc);
+        }
+
+        // Re-run the screen projection only (view changes keep the fit)
+        function reproject(track = window.skyTrailState.track, arc = referenceArc(track)) {
+            projected.length = 0;
+            arcProjected.length = 0;
+            if (!proj) return;
             for (const pt of track) projected.push(project(pt));
+            for (const pt of arc) arcProjected.push(project(pt));
+            basemapLines = buildBasemapLines();
+        }
+
+        // Project the bundled basemap with the current fit, keep only the pieces that fall inside the canvas
+        // and simplify them to pixel resolution (the 1:110m data has far more vertices than a 280px map needs)
+        function buildBasemapLines() {
+            if (typeof WORLD_BASEMAP === 'undefined' || !proj) return [];
+            const margin = 4;
+            const inside = (pt) => pt.x >= -margin && pt.x <= p.width + margin && pt.y >= -margin && pt.y <= p.height + margin;
+            const worldPx = 2 * Math.PI * proj.scale * view.zoom; // width of 360° of longitude on screen
+            const out = [];
+            for (const kind of ['coastlines', 'borders']) {
+                for (const flat of WORLD_BASEMAP[kind] || []) {
+                    let run = [];
+                    const flush = () => {
+                        if (run.length >= 2) out.push({ kind, pts: simplifyPolyline(run, 0.6) });
+                        run = [];
+                    };
+                    let prev = null, prevIn = false;
+                    for (let k = 0; k < flat.length; k += 2) {
+                        const pt = project({ lat: flat[k + 1], lon: flat[k] });
+                        const isIn = inside(pt);
+                        // Break where the line jumps to the other copy of the world (seam opposite the fit centre)
+                        if (prev && Math.abs(pt.x - prev.x) > worldPx / 2) flush();
+                        else if (prev && (isIn || prevIn) && !run.length) run.push(prev); // re-entering: keep the outside vertex
+                        if (isIn || prevIn) run.push(pt);
+                        else flush();
+                        prev = pt; prevIn = isIn;
+                    }
+                    flush();
+                }
+            }
+            return out;
         }
 
         p.draw = () => {
@@ -1145,13 +3578,58 @@ function createMinimap() {
         function drawPath(ctx) {
             if (projected.length < 2) return;
             ctx.noFill();
-            ctx.stroke(255);
             ctx.strokeWeight(2);
-            ctx.beginShape();
-            for (const pt of projected) { // On each iteration, one element of the array is assigned to pt (const within that iteration of the loop)
-                ctx.vertex(pt.x, pt.y);
+            // Measured stretches solid in the trail colour (COLOR_MODES); coverage gaps and synthetic
+            // stretches dashed and faded; track outside the brushed window faint
+            const enc = trailEncoding();
+            const runState = (k) => (inViewRange(k) && inViewRange(k + 1)) ? isGapSegment(k) : 'out';
+            forEachGapRun(projected.length, (i0, i1, state) => {
+                if (state === false) {
+                    ctx.drawingContext.setLineDash([]); // a preceding gap run leaves its dash set
+                    for (let k = i0; k < i1; k++) {
+                        const col = enc.color(encodedValueAt(enc, k));
+                        ctx.stroke(col.r, col.g, col.b);
+                        ctx.line(projected[k].x, projected[k].y, projected[k + 1].x, projected[k + 1].y);
+                    }
+                    return;
+                }
+                const gap = state === true;
+                ctx.stroke(255, state === 'out' ? 40 : gap ? 90 : 255);
+                ctx.drawingContext.setLineDash(gap ? [3, 4] : []);
+                ctx.beginShape();
+                for (let k = i0; k <= i1; k++) { // Each run shares its end vertex with the next one
+                    ctx.vertex(projected[k].x, projected[k].y);
+                }
+                ctx.endShape();
+            }, runState);
+            ctx.drawingContext.setLineDash([]);
+        }
+
+        // Coastlines and land borders underneath the track (toggle: showBasemap)
+        function drawBasemap(ctx) {
+            if (!showBasemap || !basemapLines.length) return;
+            ctx.noFill();
+            for (const line of basemapLines) {
+                const coast = line.kind === 'coastlines';
+                ctx.stroke(255, coast ? 60 : 28);
+                ctx.strokeWeight(coast ? 1 : 0.75);
+                ctx.beginShape();
+                for (const pt of line.pts) ctx.vertex(pt.x, pt.y);
+                ctx.endShape();
             }
+        }
+
+        // Thin dashed great-circle arc for comparison with the flown track
+        function drawReferenceArc(ctx) {
+            if (arcProjected.length < 2) return;
+            ctx.noFill();
+            ctx.stroke(120, 190, 255, 150);
+            ctx.strokeWeight(1);
+            ctx.drawingContext.setLineDash([2, 3]);
+            ctx.beginShape();
+            for (const pt of arcProjected) ctx.vertex(pt.x, pt.y);
             ctx.endShape();
+            ctx.drawingContext.setLineDash([]);
         }
 
         function drawEndpoints(ctx) {
@@ -1179,39 +3657,180 @@ function createMinimap() {
             p.circle(pt.x, pt.y, 5);
         }
 
-        // Public hooks for when data or selection changes:
-        p.rebuild = () => {
-            rebuild();
+        function redrawStatic() {
             if (staticLayer) {
                 staticLayer.clear();
-                drawFrame(staticLayer);
-                drawPath(staticLayer);
-                drawEndpoints(staticLayer);
+                drawStatic(staticLayer);
             }
             p.redraw();
+        }
+
+        // Nearest track point to a canvas position, or -1 when none is within maxPx
+        function pickIndex(x, y, maxPx) {
+            let best = -1, bestD2 = maxPx * maxPx;
+            for (let i = viewRange.i0; i <= Math.min(viewRange.i1, projected.length - 1); i++) {
+                const dx = projected[i].x - x, dy = projected[i].y - y;
+                const d2 = dx * dx + dy * dy;
+                if (d2 < bestD2) { bestD2 = d2; best = i; }
+            }
+            return best;
+        }
+
+        // Keep the zoomed map covering the canvas (no panning past the fitted content)
+        function clampView() {
+            view.zoom = constrain(view.zoom, 1, MINIMAP_MAX_ZOOM);
+            view.x = constrain(view.x, p.width  * (1 - view.zoom), 0);
+            view.y = constrain(view.y, p.height * (1 - view.zoom), 0);
+        }
+
+        // Zoom by `factor` keeping the canvas point (cx, cy) fixed
+        function zoomAt(cx, cy, factor) {
+            const z0 = view.zoom;
+            const z1 = constrain(z0 * factor, 1, MINIMAP_MAX_ZOOM);
+            view.x = cx - (cx - view.x) * (z1 / z0);
+            view.y = cy - (cy - view.y) * (z1 / z0);
+            view.zoom = z1;
+            clampView();
+            reproject();
+            redrawStatic();
+        }
+
+        function panBy(dx, dy) {
+            view.x += dx;
+            view.y += dy;
+            clampView();
+            reproject();
+            redrawStatic();
+        }
+
+        // Hover/click selects the nearest point, wheel/pinch zooms around the pointer, drag pans
+        function attachPointerHandlers(host) {
+            const pointers = new Map(); // pointerId → {x, y} (two entries = pinch)
+            let dragged = false, pinchDist = 0;
+            const local = (e) => {
+                const r = host.getBoundingClientRect();
+                return { x: e.clientX - r.left, y: e.clientY - r.top };
+            };
+
+            host.addEventListener('pointerenter', () => { hovering = true; cursorOwner = 'minimap'; });
+            host.addEventListener('pointerleave', () => {
+                hovering = false;
+                if (cursorOwner === 'minimap') cursorOwner = null;
+            });
+
+            host.addEventListener('pointerdown', (e) => {
+                if (e.target.closest('button')) return; // fit button handles its own click
+                host.setPointerCapture(e.pointerId);
+                pointers.set(e.pointerId, local(e));
+                dragged = false;
+                if (pointers.size === 2) {
+                    const [a, b] = [...pointers.values()];
+                    pinchDist = Math.hypot(a.x - b.x, a.y - b.y);
+                }
+            });
+
+            host.addEventListener('pointermove', (e) => {
+                const pt = local(e);
+                const prev = pointers.get(e.pointerId);
+                if (!prev) {
+                    // Plain hover: follow the pointer like the rosette does (unless the cursor is paused)
+                    if (hovering && cursorFollowMouse) {
+                        const i = pickIndex(pt.x, pt.y, MINIMAP_HOVER_PX);
+                        if (i >= 0) selectedIdx = i;
+                    }
+                    return;
+                }
+                pointers.set(e.pointerId, pt);
+                if (pointers.size === 2) {
+                    const [a, b] = [...pointers.values()];
+                    const d = Math.hypot(a.x - b.x, a.y - b.y);
+                    if (pinchDist > 0 && d > 0) zoomAt((a.x + b.x) / 2, (a.y + b.y) / 2, d / pinchDist);
+                    pinchDist = d;
+                    dragged = true;
+                    return;
+                }
+                const dx = pt.x - prev.x, dy = pt.y - prev.y;
+                if (!dragged && Math.hypot(dx, dy) < 3) { pointers.set(e.pointerId, prev); return; } // click tolerance
+                dragged = true;
+                host.classList.add('dragging');
+                panBy(dx, dy);
+            });
+
+            const release = (e) => {
+                if (!pointers.has(e.pointerId)) return;
+                const pt = local(e);
+                pointers.delete(e.pointerId);
+                if (pointers.size < 2) pinchDist = 0;
+                host.classList.remove('dragging');
+                if (e.type === 'pointerup' && !dragged) {
+                    // Click: select the nearest point and pause the cursor so the selection sticks
+                    const i = pickIndex(pt.x, pt.y, MINIMAP_CLICK_PX);
+                    if (i >= 0) {
+                        selectedIdx = i;
+                        setCursorFollow(false);
+                    }
+                }
+            };
+            host.addEventListener('pointerup', release);
+            host.addEventListener('pointercancel', release);
+
+            host.addEventListener('wheel', (e) => {
+                e.preventDefault();
+                const pt = local(e);
+                zoomAt(pt.x, pt.y, Math.exp(-e.deltaY * 0.002));
+            }, { passive: false });
+
+            if (dom.minimapFit) dom.minimapFit.addEventListener('click', () => p.fitView());
+        }
+
+        // Public hooks for when data or selection changes:
+        p.rebuild = () => {
+            rebuild();
+            redrawStatic();
         };
         p.refresh = () => { p.redraw(); };
+        // Restore the computeFit view (fit button, new flight)
+        p.fitView = () => {
+            view = { zoom: 1, x: 0, y: 0 };
+            rebuild();
+            redrawStatic();
+        };
     };
 
     minimap = new p5(sketch, 'flight-path-canvas');
 }
 
-// SPEED CHART
+// METRIC CHARTS
+// Time-series chart factory shared by the speed, altitude, vertical-speed and heading charts.
+// Every chart uses the same time axis (the brushed view range) and draws the shared cursor from `selectedIdx`.
+//   value(row)   metric accessor in the display unit, returns a number (NaN = no data)
+//   format(v)    label for the cursor value
+//   axis.min/max number or function returning the y-axis bounds for the current data
+//   axis.step    spacing of the horizontal grid lines, number or function (the 0 line is drawn stronger)
+//   area         fill between the line and the 0 baseline (default true)
+//   wrap         cyclic metrics (heading): jumps larger than wrap/2 are not connected
+//   brush        dragging on the chart zooms the dashboard to that time window (speed chart)
+//   color(row)   optional line colour per sample ({ r, g, b }); the line is drawn white otherwise
+let metricCharts = [];
 let speedChart = null;
 
-function createSpeedChart() {
+function createMetricChart(hostId, cfg) {
     const sketch = (p) => {
         let padding = 16;                // internal padding
-        let projectedPoints = [];        // projected points [{x,y,timestampMs,spd}]
+        let projectedPoints = [];        // projected points [{x,y,timestampMs,v,idx}]
         let scaleX = 1, offsetX = 0;     // mapping X (time)
-        let scaleY = 1, offsetY = 0;     // mapping Y (speed)
+        let scaleY = 1, offsetY = 0;     // mapping Y (metric)
+        let yMin = 0, yMax = 1;          // y-axis bounds for the current data
+        let brush = null;                // {x0, x1} while dragging a time window (cfg.brush)
 
         // --- Static chart layer: frame, axes, area, line (drawn once to off-screen buffer) ---
         // This buffer holds all static chart elements (frame, axes, fill, line), redrawn only on resize/data change.
         let chartStatic = null; // off-screen buffer for static chart layers (frame, axes, fill, line)
 
+        const host = document.getElementById(hostId);
+        const resolve = (v) => (typeof v === 'function' ? v() : v);
+
         p.setup = () => {
-            const host = dom.flightSpeedHost;
             const w = host?.clientWidth || 300;
             const h = host?.clientHeight || 120;
             p.createCanvas(w, h);
@@ -1219,6 +3838,7 @@ function createSpeedChart() {
             p.noLoop(); // manual redraw
             p.clear();
             p.canvas.style.pointerEvents = 'none';
+            padding = Math.min(16, Math.round(h / 8));
 
             // Build chart geometry once
             rebuild();
@@ -1226,16 +3846,14 @@ function createSpeedChart() {
             // Create the static buffer and render static elements into it
             chartStatic = p.createGraphics(w, h);
             chartStatic.pixelDensity(2);
-            drawFrame(chartStatic);
-            drawAxes(chartStatic);
-            drawAreaUnderLine(chartStatic);
-            drawLine(chartStatic);
+            drawStatic(chartStatic);
 
-            observeResize(host);
+            observeResize();
+            if (cfg.brush) attachBrush();
         };
 
         // Observe canvas resize and rebuild static chart layer on size change
-        function observeResize(host) {
+        function observeResize() {
             if (!host) return;
             const ro = new ResizeObserver(() => {
                 const nw = host.clientWidth;
@@ -1245,68 +3863,133 @@ function createSpeedChart() {
                 // Recreate the off-screen buffer at the new size to redraw static chart elements (frame, axes, area, line)
                 chartStatic = p.createGraphics(nw, nh);
                 chartStatic.pixelDensity(2);
-                drawFrame(chartStatic);
-                drawAxes(chartStatic);
-                drawAreaUnderLine(chartStatic);
-                drawLine(chartStatic);
+                drawStatic(chartStatic);
                 p.redraw();
             });
             ro.observe(host);
         }
 
+        function hasTimeAxis() {
+            return rows.length && Number.isFinite(viewRange.startMs) && Number.isFinite(viewRange.endMs) && viewRange.endMs > viewRange.startMs;
+        }
+
         function computeFit() {
-            if (!rows.length || !Number.isFinite(startTimestampMs) || !Number.isFinite(endTimestampMs) || endTimestampMs <= startTimestampMs) {
+            if (!hasTimeAxis()) {
                 projectedPoints.length = 0; return;
             }
             const innerW = Math.max(1, p.width  - padding*2);
             const innerH = Math.max(1, p.height - padding*2);
 
-            const timeSpanMs = endTimestampMs - startTimestampMs; // total ms
+            const timeSpanMs = viewRange.endMs - viewRange.startMs; // total ms
             scaleX = innerW / timeSpanMs; // px per ms
             offsetX = padding; // left padding
 
-            // vertical scale from global speed range
-            const spanY = Math.max(1e-6, range.spdMax - range.spdMin);
+            // vertical scale from the configured (or data-derived) metric range
+            yMin = resolve(cfg.axis.min);
+            yMax = resolve(cfg.axis.max);
+            if (!Number.isFinite(yMin) || !Number.isFinite(yMax)) { yMin = 0; yMax = 1; }
+            const spanY = Math.max(1e-6, yMax - yMin);
             scaleY = innerH / spanY;
             offsetY = padding; // vertical flip is in project()
         }
 
+        // y grows downward: yMin → bottom, yMax → top
+        function yFor(v, h = p.height) {
+            const yVal = (constrain(v, yMin, yMax) - yMin) * scaleY; // 0..innerH
+            return h - (yVal + offsetY);
+        }
+
         function project(row) {
-            const x = (row.timestampMs - startTimestampMs) * scaleX + offsetX;
-            // y grows downward: spdMin → bottom, spdMax → top
-            const yVal = (row.spd - range.spdMin) * scaleY; // 0..innerH
-            const y = p.height - (yVal + offsetY);
-            return { x, y };
+            const x = (row.timestampMs - viewRange.startMs) * scaleX + offsetX;
+            return { x, y: yFor(cfg.value(row)) };
         }
 
         function rebuild() {
             projectedPoints.length = 0;
             computeFit();
-            if (!rows.length || !Number.isFinite(startTimestampMs) || !Number.isFinite(endTimestampMs) || endTimestampMs <= startTimestampMs) return;
+            if (!hasTimeAxis()) return;
 
-            for (const r of rows) {
-                if (Number.isFinite(r.timestampMs) && Number.isFinite(r.spd)) {
+            rows.forEach((r, idx) => {
+                const v = cfg.value(r);
+                if (inViewRange(idx) && Number.isFinite(r.timestampMs) && Number.isFinite(v)) {
                     const pr = project(r);
-                    projectedPoints.push({ x: pr.x, y: pr.y, timestampMs: r.timestampMs, spd: r.spd });
+                    projectedPoints.push({ x: pr.x, y: pr.y, timestampMs: r.timestampMs, v, idx });
                 }
-            }
+            });
             projectedPoints.sort((a,b) => a.timestampMs - b.timestampMs);
         }
 
+        function drawStatic(ctx) {
+            drawFrame(ctx);
+            drawAxes(ctx);
+            drawGapBands(ctx);
+            if (cfg.area !== false) drawAreaUnderLine(ctx);
+            drawLine(ctx);
+        }
+
         // Main draw: composite static chart layer, then draw cursor
         // Only the cursor is drawn each frame; static chart is cached in chartStatic buffer.
         p.draw = () => {
             p.clear();
             if (chartStatic) p.image(chartStatic, 0, 0);
+            drawBrush();
             drawCursor();
         };
-        
-        // Draw area under the speed line (static layer)
+
+        // Brushed window being dragged (dynamic, not cached)
+        function drawBrush() {
+            if (!brush) return;
+            const x0 = Math.min(brush.x0, brush.x1), x1 = Math.max(brush.x0, brush.x1);
+            p.noStroke();
+            p.fill(255, 255, 0, 40);
+            p.rect(x0, 0, x1 - x0, p.height);
+            p.stroke(255, 255, 0, 160);
+            p.strokeWeight(1);
+            p.line(x0, 0, x0, p.height);
+            p.line(x1, 0, x1, p.height);
+        }
+
+        // Canvas x → timestamp on the current time axis
+        function timeAtX(x) {
+            return viewRange.startMs + (x - offsetX) / scaleX;
+        }
+
+        // Drag selects a time window (pushViewRange), double-click steps back out (popViewRange)
+        function attachBrush() {
+            if (!host) return;
+            const local = (e) => constrain(e.clientX - host.getBoundingClientRect().left, offsetX, p.width - padding);
+            host.addEventListener('pointerdown', (e) => {
+                if (!hasTimeAxis()) return;
+                host.setPointerCapture(e.pointerId);
+                const x = local(e);
+                brush = { x0: x, x1: x };
+            });
+            host.addEventListener('pointermove', (e) => {
+                if (!brush) return;
+                brush.x1 = local(e);
+                p.redraw();
+            });
+            const release = (e) => {
+                if (!brush) return;
+                const b = brush;
+                brush = null;
+                p.redraw();
+                if (e.type !== 'pointerup' || Math.abs(b.x1 - b.x0) < 4) return; // a click, not a drag
+                pushViewRange(timeAtX(Math.min(b.x0, b.x1)), timeAtX(Math.max(b.x0, b.x1)));
+            };
+            host.addEventListener('pointerup', release);
+            host.addEventListener('pointercancel', release);
+            host.addEventListener('dblclick', () => popViewRange());
+        }
+
+        // True when two consecutive samples of a cyclic metric wrap around (e.g. 359° → 2°)
+        const wraps = (a, b) => cfg.wrap && Math.abs(b.v - a.v) > cfg.wrap / 2;
+
+        // Draw area between the line and the 0 baseline (static layer)
         function drawAreaUnderLine(ctx = p) {
             if (projectedPoints.length < 2) return;
             // Accepts drawing context (ctx = p5 or PGraphics)
-            const yForSpeed = (v) => ctx.height - (((v - range.spdMin) * scaleY) + offsetY);
-            const baselineY = yForSpeed(range.spdMin);
+            const baselineY = yFor(Math.max(yMin, Math.min(yMax, 0)), ctx.height);
             ctx.noStroke();
             ctx.fill(255, 255, 255, 51);
             ctx.beginShape();
@@ -1326,66 +4009,84 @@ function createSpeedChart() {
             ctx.rect(0.5, 0.5, ctx.width-1, ctx.height-1, 6);
         }
 
-        // Draw axes and grid lines (static layer)
+        // Draw the 0 baseline and grid lines every axis.step (static layer)
         function drawAxes(ctx) {
-            // 1) Update DOM with max speed
-            if (dom.maxSpeed && Number.isFinite(range.spdMax)) {
-                dom.maxSpeed.textContent = Math.round(range.spdMax) + ' kt';
-            }
-            // 2) Grid lines: baseline at 0 kt and every 100 kt up to floor(spdMax/100)*100
-            const yForSpeed = (v) => {
-                const yVal = (v - range.spdMin) * scaleY;
-                return ctx.height - (yVal + offsetY);
-            };
-            if (Number.isFinite(range.spdMin) && Number.isFinite(range.spdMax)) {
-                const y0raw = yForSpeed(0);
-                const y0 = Math.max(1, Math.min(ctx.height - 1, Math.round(y0raw) + 0.5));
-                ctx.stroke(255, 120);
+            const step = resolve(cfg.axis.step);
+            if (!(step > 0) || !Number.isFinite(yMin) || !Number.isFinite(yMax)) return;
+            for (let v = Math.ceil(yMin / step) * step; v <= yMax; v += step) {
+                const y = yFor(v, ctx.height);
+                if (y < 0 || y > ctx.height) continue;
+                const yy = Math.max(1, Math.min(ctx.height - 1, Math.round(y) + 0.5));
+                ctx.stroke(255, v === 0 ? 120 : 60);
                 ctx.strokeWeight(1);
-                ctx.line(1, y0, ctx.width - 1, y0);
-            }
-            if (Number.isFinite(range.spdMax)) {
-                const maxHundred = Math.floor(range.spdMax / 100) * 100;
-                for (let v = 100; v <= maxHundred; v += 100) {
-                    const y = yForSpeed(v);
-                    if (y >= 0 && y <= ctx.height) {
-                        ctx.stroke(255, 60);
-                        ctx.strokeWeight(1);
-                        ctx.line(1, Math.round(y) + 0.5, ctx.width - 1, Math.round(y) + 0.5);
-                    }
-                }
+                ctx.line(1, yy, ctx.width - 1, yy);
             }
         }
 
-        // Draw the polyline for the speed data (static layer)
+        // Draw the polyline for the metric data (static layer)
         function drawLine(ctx) {
             if (projectedPoints.length < 2) return;
             ctx.noFill();
-            ctx.stroke(255, 200);
-            ctx.strokeWeight(2);
-            ctx.beginShape();
-            for (const pt of projectedPoints) ctx.vertex(pt.x, pt.y);
-            ctx.endShape();
+            ctx.strokeWeight(cfg.weight || 2);
+            // Dashed and faded across coverage gaps / synthetic stretches
+            forEachGapRun(projectedPoints.length, (k0, k1, gap) => {
+                ctx.stroke(255, gap ? 80 : 200);
+                ctx.drawingContext.setLineDash(gap ? [3, 4] : []);
+                if (cfg.color && !gap) { // coloured per segment (e.g. speed bands)
+                    for (let k = k0; k < k1; k++) {
+                        const a = projectedPoints[k], b = projectedPoints[k + 1];
+                        if (wraps(a, b)) continue;
+                        const col = cfg.color(rows[a.idx]);
+                        ctx.stroke(col.r, col.g, col.b, 230);
+                        ctx.line(a.x, a.y, b.x, b.y);
+                    }
+                    return;
+                }
+                ctx.beginShape();
+                for (let k = k0; k <= k1; k++) {
+                    if (k > k0 && wraps(projectedPoints[k - 1], projectedPoints[k])) {
+                        ctx.endShape();
+                        ctx.beginShape();
+                    }
+                    ctx.vertex(projectedPoints[k].x, projectedPoints[k].y);
+                }
+                ctx.endShape();
+            }, (k) => isGapSegment(projectedPoints[k].idx));
+            ctx.drawingContext.setLineDash([]);
+        }
+
+        // Shade the time spans of coverage gaps (static layer)
+        function drawGapBands(ctx) {
+            if (!gaps.length || !(scaleX > 0)) return;
+            ctx.noStroke();
+            ctx.fill(255, 255, 255, 14);
+            for (const g of gaps) {
+                const x0 = Math.max(1, (g.startMs - viewRange.startMs) * scaleX + offsetX);
+                const x1 = Math.min(ctx.width - 1, (g.endMs - viewRange.startMs) * scaleX + offsetX);
+                if (x1 > x0) ctx.rect(x0, 1, Math.max(1, x1 - x0), ctx.height - 2);
+            }
         }
 
         // Draw the cursor (vertical line and dot) for the current selection (dynamic, not cached)
         function drawCursor() {
             const i = window.skyTrailState.cursorIndex;
-            if (!Number.isFinite(i) || !rows[i]) return; // Guard against undefined access
+            if (!Number.isFinite(i) || !rows[i] || !hasTimeAxis()) return; // Guard against undefined access
             const pr = project(rows[i]);
             p.stroke(255, 120);
             p.strokeWeight(1);
             p.line(pr.x, 0, pr.x, p.height);
-            if (Number.isFinite(rows[i].spd)) {
+            const v = cfg.value(rows[i]);
+            if (Number.isFinite(v)) {
                 p.noStroke();
                 p.fill(255, 255, 0, 230);
                 p.circle(pr.x, pr.y, 5);
                 p.fill(255);
                 p.textSize(10);
-                p.textAlign(p.LEFT, p.BOTTOM);
-                const lbl = Math.round(rows[i].spd) + ' kt';
-                const tx = Math.min(pr.x + 6, p.width - 30);
+                const lbl = cfg.format(v);
+                // Keep the label inside the canvas on both edges
+                const tx = Math.min(pr.x + 6, p.width - p.textWidth(lbl) - 4);
                 const ty = Math.max(12, pr.y - 6);
+                p.textAlign(p.LEFT, p.BOTTOM);
                 p.text(lbl, tx, ty);
             }
         }
@@ -1395,47 +4096,238 @@ function createSpeedChart() {
             rebuild();
             if (chartStatic) {
                 chartStatic.clear();
-                drawFrame(chartStatic);
-                drawAxes(chartStatic);
-                drawAreaUnderLine(chartStatic);
-                drawLine(chartStatic);
+                drawStatic(chartStatic);
             }
             p.redraw();
         };
         p.refresh = () => { p.redraw(); };
     };
 
-    speedChart = new p5(sketch, 'flight-speed-canvas');
+    return new p5(sketch, hostId);
+}
+
+// Chart definitions for the right info card
+const METRIC_CHARTS = [
+    {
+        id: 'speed', host: 'flight-speed-canvas',
+        value: (r) => toUnit('speed', r.spd),
+        format: (v) => formatInUnit('speed', v),
+        axis: { min: () => toUnit('speed', range.spdMin), max: () => toUnit('speed', range.spdMax), step: () => unitOf('speed').gridStep },
+        color: (r) => speedColor(r.spd),
+        brush: true
+    },
+    {
+        id: 'altitude', host: 'flight-altitude-canvas',
+        value: (r) => toUnit('altitude', r.alt),
+        format: (v) => formatInUnit('altitude', v),
+        axis: { min: () => toUnit('altitude', Math.min(0, range.altMin)), max: () => toUnit('altitude', range.altMax), step: () => unitOf('altitude').gridStep }
+    },
+    {
+        id: 'vertical-speed', host: 'flight-vs-canvas',
+        value: (r) => toUnit('verticalRate', r.vs),
+        format: (v) => formatInUnit('verticalRate', v, true),
+        // Symmetric around 0 so climbs and descents read alike
+        axis: { min: () => -toUnit('verticalRate', verticalRateExtent()), max: () => toUnit('verticalRate', verticalRateExtent()), step: () => unitOf('verticalRate').gridStep }
+    },
+    {
+        id: 'heading', host: 'flight-heading-canvas',
+        value: (r) => r.hdg,
+        format: (v) => `${Math.round(v)}°`,
+        axis: { min: 0, max: 360, step: 90 },
+        area: false,
+        wrap: 360,
+        weight: 1.5
+    }
+];
+
+// Vertical-rate axis extent (ft/min): 98th percentile of |vs| so single spikes do not flatten the chart
+function verticalRateExtent() {
+    const vals = rows.map(r => Math.abs(r.vs)).filter(Number.isFinite).sort((a, b) => a - b);
+    if (!vals.length) return 1000;
+    return Math.max(1000, Math.ceil(vals[Math.floor(vals.length * 0.98)] / 500) * 500);
+}
+
+// Create the charts once, rebuild them when the data changes
+function createMetricCharts() {
+    metricCharts = METRIC_CHARTS
+        .filter(def => document.getElementById(def.host))
+        .map(def => {
+            const chart = createMetricChart(def.host, def);
+            chart.def = def;
+            return chart;
+        });
+    speedChart = metricCharts.find(ch => ch.def.id === 'speed') || null;
+}
+
+function rebuildMetricCharts() {
+    if (!metricCharts.length) createMetricCharts();
+    else for (const ch of metricCharts) ch.rebuild();
+}
+
+function refreshMetricCharts() {
+    for (const ch of metricCharts) ch.refresh();
+}
+
+// DEEP LINKS
+// The view state lives in the URL hash, e.g.
+//   #flight=sample:EK93_3bd5a240.csv&range=2025-02-01T09:10:00Z~2025-02-01T09:40:00Z&t=2025-02-01T09:25:12Z&follow=0
+// Each field is registered with read() (hash value, or null to leave it out) and apply(value);
+// fields are applied in registration order, so the range is restored before the time inside it.
+// `flight` names where the data comes from: a bundled sample or a flight in the local library.
+const VIEW_STATE_FIELDS = [];
+let pendingViewState = null; // parsed hash waiting for the flight it refers to
+let lastLocationHash = '';
+
+function registerViewStateField(field) {
+    VIEW_STATE_FIELDS.push(field);
+}
+
+const isoSeconds = (ms) => new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+registerViewStateField({
+    key: 'range', // brushed window, only when zoomed in
+    read: () => viewStack.length ? `${isoSeconds(viewRange.startMs)}~${isoSeconds(viewRange.endMs)}` : null,
+    apply(value) {
+        const [a, b] = value.split('~').map(Date.parse);
+        if (!Number.isFinite(a) || !Number.isFinite(b)) return;
+        if (viewStack.length) popViewRange(0); // the link's window is relative to the whole flight
+        pushViewRange(a, b);
+    }
+});
+registerViewStateField({
+    key: 't', // selected timestamp
+    read: () => rows[selectedIdx] ? isoSeconds(rows[selectedIdx].timestampMs) : null,
+    apply(value) {
+        const ms = Date.parse(value);
+        if (Number.isFinite(ms)) selectedIdx = constrain(indexAtTime(ms), viewRange.i0, viewRange.i1);
+    }
+});
+registerViewStateField({
+    key: 'follow', // cursor follows the mouse (default) or is paused
+    read: () => cursorFollowMouse ? null : '0',
+    apply: (value) => setCursorFollow(value !== '0')
+});
+registerViewStateField({
+    key: 'strobe', // cursor strobe style radio: airbus (default), boeing, off
+    read() {
+        const checked = document.querySelector('input[name="strobes"]:checked');
+        const style = checked ? checked.id.replace('strobes-', '') : 'airbus';
+        return style === 'airbus' ? null : style;
+    },
+    apply(value) {
+        const radio = document.getElementById(`strobes-${value}`);
+        if (radio) radio.checked = true;
+    }
+});
+
+registerViewStateField({
+    key: 'color', // trail colour mode, speed by default
+    read: () => trailColorMode === 'speed' ? null : trailColorMode,
+    apply: (value) => setTrailColorMode(value)
+});
+
+registerViewStateField({
+    key: 'layout', // rosette (default), spiral or ribbon
+    read: () => rosetteLayout === 'rosette' ? null : rosetteLayout,
+    apply: (value) => setRosetteLayout(value)
+});
+registerViewStateField({
+    key: 'turn', // spiral turn duration in minutes, 60 by default
+    read: () => rosetteLayout === 'spiral' && spiralTurnMin !== 60 ? String(spiralTurnMin) : null,
+    apply: (value) => setRosetteLayout(rosetteLayout, Number(value))
+});
+
+// Where the loaded flight can be fetched again by someone opening the link (null for local files)
+function currentFlightRef() {
+    if (!currentFlight) return null;
+    if (currentFlight.sampleFile) return `sample:${currentFlight.sampleFile}`;
+    if (currentFlight.libraryId) return `lib:${currentFlight.libraryId}`;
+    return null;
+}
+
+function serializeViewState() {
+    const parts = [];
+    // Colons stay readable (times, flight refs); everything else is escaped as usual
+    const add = (key, value) => parts.push(`${key}=${encodeURIComponent(value).replace(/%3A/gi, ':')}`);
+    const ref = currentFlightRef();
+    if (ref) add('flight', ref);
+    for (const field of VIEW_STATE_FIELDS) {
+        const value = field.read();
+        if (value !== null && value !== undefined) add(field.key, value);
+    }
+    return parts.join('&');
+}
+
+// Called from the draw loop; rewrites the hash at most twice a second (browsers throttle replaceState)
+function updateLocationHash() {
+    if (!rows.length || frameCount % 30 !== 0) return;
+    const hash = serializeViewState();
+    if (hash === lastLocationHash) return;
+    lastLocationHash = hash;
+    history.replaceState(null, '', `#${hash}`);
+}
+
+function clearLocationHash() {
+    lastLocationHash = '';
+    history.replaceState(null, '', location.pathname + location.search);
+}
+
+// Read the hash on load (and when a link is pasted into an open tab): fetch the referenced
+// flight if there is one, otherwise keep the state for the next flight the user opens
+async function restoreFromLocationHash() {
+    const params = new URLSearchParams(location.hash.replace(/^#/, ''));
+    if (![...params.keys()].length) return;
+    pendingViewState = params;
+    const ref = params.get('flight') || '';
+    const [kind, id] = [ref.slice(0, ref.indexOf(':')), ref.slice(ref.indexOf(':') + 1)];
+    try {
+        if (kind === 'sample') {
+            const sample = SAMPLE_FLIGHTS.find(s => s.file === id);
+            if (sample) await loadFlightText(await fetchSampleText(sample), sample.file, { sampleFile: sample.file });
+        } else if (kind === 'lib') {
+            await openLibraryFlight(id);
+        } else if (rows.length) {
+            applyPendingViewState(); // no flight reference: re-scope the flight already open
+        }
+    } catch (err) {
+        console.warn('Deep link: could not open the flight', err);
+    }
+    // The referenced flight did not load (unknown sample, not in this library): its state
+    // must not leak onto the next flight the user opens
+    if (ref) pendingViewState = null;
+}
+
+// Apply a pending hash to the flight that was just loaded (from showParsedFlight)
+function applyPendingViewState() {
+    const params = pendingViewState;
+    pendingViewState = null;
+    if (!params || !rows.length) return;
+    for (const field of VIEW_STATE_FIELDS) {
+        if (params.has(field.key)) field.apply(params.get(field.key));
+    }
+    lastLocationHash = ''; // rewrite the hash with the state as applied
 }
 
 // =============================== [6] MISC UTILITIES =================================
 
 function keyPressed() {
+    // Typing in a form field (library search, export sizes...): no shortcuts, keep the default behaviour
+    const focused = document.activeElement;
+    if (focused && /^(INPUT|SELECT|TEXTAREA)$/.test(focused.tagName)) return;
+
     if (key === 'a' || key === 'A') {
-        saveCanvas('altitude_rosette', 'png');
+        saveCanvas(`altitude_${rosetteLayout}`, 'png'); // whatever layout is on screen
     }
     if (key === ' ') {
-        cursorFollowMouse = !cursorFollowMouse;
-        // Replace toggling .show with updating icon visibility and text
-        if (cursorFollowMouse) {
-            // Cursor just got enabled
-            dom.cursorOnIcon.style.display = 'block';
-            dom.cursorOffIcon.style.display = 'none';
-            dom.cursorStatusTitle.textContent = 'Cursor Enabled';
-            dom.cursorStatusSubtitle.innerHTML = 'Press <kbd>Space</kbd> to pause';
-            dom.canvasContainer.classList.remove('cursor-off');
-        } else {
-            // Cursor just got paused
-            dom.cursorOnIcon.style.display = 'none';
-            dom.cursorOffIcon.style.display = 'block';
-            dom.cursorStatusTitle.textContent = 'Cursor Paused';
-            dom.cursorStatusSubtitle.innerHTML = 'Press <kbd>Space</kbd> to enable';
-            dom.canvasContainer.classList.add('cursor-off');
-        }
+        setCursorFollow(!cursorFollowMouse);
         return false; // prevent page scroll
     }
+    // P: play/pause the flight playback
+    if (key === 'p' || key === 'P') {
+        togglePlayback();
+    }
 
-    // Arrow keys: step selection index by ±1 (left/right) or ±10 (up/down) (only if follow-mouse is off)
+    // Arrow keys: step selection index by ±1 (left/right) or ±10 (up/down) within the view range (only if follow-mouse is off)
     if (keyCode === LEFT_ARROW || keyCode === RIGHT_ARROW || keyCode === UP_ARROW || keyCode === DOWN_ARROW) {
         if (!cursorFollowMouse) {
             let delta = 0;
@@ -1445,19 +4337,40 @@ function keyPressed() {
             else if (keyCode === DOWN_ARROW) delta = -10;
 
             // wrap around
-            let next = (selectedIdx + delta) % rows.length;
-            if (next < 0) next += rows.length; // ensure positive modulo for negatives
-            selectedIdx = next;
+            const n = viewRange.i1 - viewRange.i0 + 1;
+            let next = (selectedIdx - viewRange.i0 + delta) % n;
+            if (next < 0) next += n; // ensure positive modulo for negatives
+            selectedIdx = viewRange.i0 + next;
         }
         return false; // prevent page scroll
     }
 
-    // Key I/O: I goes to data start, O goes to data end
+    // Key I/O: I goes to data (view range) start, O goes to data end
     if (key === 'i' || key === 'I') {
-        selectedIdx = 0;
+        selectedIdx = viewRange.i0;
     }
     if (key === 'o' || key === 'O') {
-        selectedIdx = rows.length - 1;
+        selectedIdx = viewRange.i1;
+    }
+}
+
+// Enable/pause the mouse-following cursor and update the status badge
+function setCursorFollow(on) {
+    cursorFollowMouse = on;
+    if (cursorFollowMouse) {
+        // Cursor just got enabled
+        dom.cursorOnIcon.style.display = 'block';
+        dom.cursorOffIcon.style.display = 'none';
+        dom.cursorStatusTitle.textContent = 'Cursor Enabled';
+        dom.cursorStatusSubtitle.innerHTML = 'Press <kbd>Space</kbd> to pause';
+        dom.canvasContainer.classList.remove('cursor-off');
+    } else {
+        // Cursor just got paused
+        dom.cursorOnIcon.style.display = 'none';
+        dom.cursorOffIcon.style.display = 'block';
+        dom.cursorStatusTitle.textContent = 'Cursor Paused';
+        dom.cursorStatusSubtitle.innerHTML = 'Press <kbd>Space</kbd> to enable';
+        dom.canvasContainer.classList.add('cursor-off');
     }
 }
 
@@ -1491,6 +4404,32 @@ function formatUTC(ms) {
     return `${yyyy}-${mm}-${dd}<br>${HH}:${MM}:${SS} UTC`;
 }
 
+// Local date and time at an airport (its IANA time zone), e.g. "Mar 3, 14:05:09 GMT+1"
+const airportTimeFormats = new Map(); // time zone → Intl.DateTimeFormat
+function formatAirportLocalTime(ms, airport) {
+    let fmt = airportTimeFormats.get(airport.tz);
+    if (!fmt) {
+        fmt = new Intl.DateTimeFormat(undefined, {
+            timeZone: airport.tz, month: 'short', day: 'numeric',
+            hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23', timeZoneName: 'short'
+        });
+        airportTimeFormats.set(airport.tz, fmt);
+    }
+    return fmt.format(ms);
+}
+
+// Short code of a leg end (IATA, else ICAO), '?' when it is not at a known airport
+function airportCode(end) {
+    return end ? (end.airport.iata || end.airport.icao) : '?';
+}
+
+// Info card value of a leg end: "ZRH · Zurich" over "LSZH · RWY 16"
+function legEndHtml(end) {
+    if (!end) return '—';
+    const a = end.airport;
+    return `${airportCode(end)} · ${a.name}<br><span class="k">${a.icao}${end.runway ? ` · RWY ${end.runway}` : ''}</span>`;
+}
+
 function formatLatLon(lat, lon) {
     const fmt = (val, posH, negH) => {
         if (!Number.isFinite(val)) return '—';
@@ -1529,7 +4468,1227 @@ function niceCeilToStep(v, step) {
       return Math.ceil(v / step) * step;
 }
 
+// Fraction of the brushed view range (0 = window start, 1 = window end)
 function timeFracForRow(row) {
     const ms = row.timestampMs;
-    return (ms - startTimestampMs) / (endTimestampMs - startTimestampMs);
-}
\ No newline at end of file
+    return (ms - viewRange.startMs) / (viewRange.endMs - viewRange.startMs);
+}
+
+// Great-circle distance between two lat/lon points in nautical miles (haversine formula).
+const EARTH_RADIUS_NM = 3440.065;
+function haversineNm(lat1, lon1, lat2, lon2) {
+    if (![lat1, lon1, lat2, lon2].every(Number.isFinite)) return NaN;
+    const toRad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * toRad;
+    const dLon = (lon2 - lon1) * toRad;
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_NM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Initial true bearing (0..360°) from point 1 towards point 2.
+function initialBearingDeg(lat1, lon1, lat2, lon2) {
+    if (![lat1, lon1, lat2, lon2].every(Number.isFinite)) return NaN;
+    const toRad = Math.PI / 180;
+    const y = Math.sin((lon2 - lon1) * toRad) * Math.cos(lat2 * toRad);
+    const x = Math.cos(lat1 * toRad) * Math.sin(lat2 * toRad) -
+        Math.sin(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos((lon2 - lon1) * toRad);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Point at fraction t along the great circle between two positions (spherical linear
+// interpolation), plus the local track at that point.
+function interpolateGreatCircle(lat1, lon1, lat2, lon2, t) {
+    const toRad = Math.PI / 180, toDeg = 180 / Math.PI;
+    const p1 = [Math.cos(lat1 * toRad) * Math.cos(lon1 * toRad), Math.cos(lat1 * toRad) * Math.sin(lon1 * toRad), Math.sin(lat1 * toRad)];
+    const p2 = [Math.cos(lat2 * toRad) * Math.cos(lon2 * toRad), Math.cos(lat2 * toRad) * Math.sin(lon2 * toRad), Math.sin(lat2 * toRad)];
+    const dot = Math.min(1, Math.max(-1, p1[0] * p2[0] + p1[1] * p2[1] + p1[2] * p2[2]));
+    const omega = Math.acos(dot);
+    let v;
+    if (omega < 1e-9) {
+        v = p1;
+    } else {
+        const s1 = Math.sin((1 - t) * omega) / Math.sin(omega);
+        const s2 = Math.sin(t * omega) / Math.sin(omega);
+        v = [s1 * p1[0] + s2 * p2[0], s1 * p1[1] + s2 * p2[1], s1 * p1[2] + s2 * p2[2]];
+    }
+    const lat = Math.atan2(v[2], Math.hypot(v[0], v[1])) * toDeg;
+    const lon = Math.atan2(v[1], v[0]) * toDeg;
+    return { lat, lon, hdg: initialBearingDeg(lat, lon, lat2, lon2) };
+}
+
+// Normalise a longitude to [-180, 180)
+function wrapLon(lon) {
+    return ((lon + 540) % 360) - 180;
+}
+
+// Web Mercator: latitude (deg) → projected y (radians of the unit sphere), clamped at the poles
+const MERCATOR_MAX_LAT = 85.05;
+function mercatorY(lat) {
+    const phi = constrain(lat, -MERCATOR_MAX_LAT, MERCATOR_MAX_LAT) * Math.PI / 180;
+    return Math.log(Math.tan(Math.PI / 4 + phi / 2));
+}
+
+// Rewrite a longitude sequence so consecutive samples never jump by more than 180°
+// (a trans-Pacific track continues past ±180° instead of wrapping across the whole world)
+function unwrapLongitudes(lons) {
+    const out = new Array(lons.length);
+    let prev = NaN;
+    for (let i = 0; i < lons.length; i++) {
+        let lon = lons[i];
+        if (Number.isFinite(lon) && Number.isFinite(prev)) {
+            lon = prev + wrapLon(lon - prev);
+        }
+        out[i] = lon;
+        if (Number.isFinite(lon)) prev = lon;
+    }
+    return out;
+}
+
+// Fit a Web Mercator projection of `points` ({lat, lon}, in track order) into a w×h box with `pad` px margin.
+// Returns null without finite points. project(lat, lon) picks the ±360° copy of lon closest to the fitted centre,
+// so anything drawn on top of the track (arcs, basemap, cursor) lands on the same side of the antimeridian.
+function createGeoProjection(points, w, h, pad = 0) {
+    const lons = unwrapLongitudes(points.map(pt => pt.lon));
+    let minX = +Infinity, maxX = -Infinity, minY = +Infinity, maxY = -Infinity;
+    let minLat = +Infinity, maxLat = -Infinity;
+    points.forEach((pt, i) => {
+        if (!Number.isFinite(pt.lat) || !Number.isFinite(lons[i])) return;
+        const x = lons[i] * Math.PI / 180, y = mercatorY(pt.lat);
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+        if (pt.lat < minLat) minLat = pt.lat;
+        if (pt.lat > maxLat) maxLat = pt.lat;
+    });
+    if (!Number.isFinite(minX)) return null;
+
+    const innerW = Math.max(1, w - pad * 2);
+    const innerH = Math.max(1, h - pad * 2);
+    const spanX = Math.max(1e-9, maxX - minX);
+    const spanY = Math.max(1e-9, maxY - minY);
+    const scale = Math.min(innerW / spanX, innerH / spanY); // px per radian, same on both axes
+    const offX = pad + (innerW - spanX * scale) / 2;
+    const offY = pad + (innerH - spanY * scale) / 2;
+    const centerLon = (minX + maxX) / 2 * 180 / Math.PI;
+
+    return {
+        scale,
+        centerLon,
+        bounds: { minLat, maxLat, minLon: minX * 180 / Math.PI, maxLon: maxX * 180 / Math.PI }, // lon unwrapped
+        project(lat, lon) {
+            const l = centerLon + wrapLon(lon - centerLon);
+            const x = (l * Math.PI / 180 - minX) * scale + offX;
+            // North-up: p5's origin is top-left
+            const y = h - ((mercatorY(lat) - minY) * scale + offY);
+            return { x, y };
+        }
+    };
+}
+
+// Douglas-Peucker simplification of a polyline of {x, y}, keeping vertices farther than `tol` from the chord
+function simplifyPolyline(pts, tol) {
+    if (pts.length < 3) return pts.slice();
+    const keep = new Uint8Array(pts.length);
+    keep[0] = keep[pts.length - 1] = 1;
+    const stack = [[0, pts.length - 1]];
+    while (stack.length) {
+        const [a, b] = stack.pop();
+        const ax = pts[a].x, ay = pts[a].y;
+        const dx = pts[b].x - ax, dy = pts[b].y - ay;
+        const len = Math.hypot(dx, dy);
+        let maxD = -1, maxK = -1;
+        for (let k = a + 1; k < b; k++) {
+            const d = len > 1e-9
+                ? Math.abs(dy * (pts[k].x - ax) - dx * (pts[k].y - ay)) / len
+                : Math.hypot(pts[k].x - ax, pts[k].y - ay);
+            if (d > maxD) { maxD = d; maxK = k; }
+        }
+        if (maxD > tol) {
+            keep[maxK] = 1;
+            stack.push([a, maxK], [maxK, b]);
+        }
+    }
+    return pts.filter((_, k) => keep[k]);
+}
+
+// Sample the great-circle arc between two points as n+1 {lat, lon} (lon unwrapped along the arc)
+function greatCircleArc(lat1, lon1, lat2, lon2, n = 64) {
+    const pts = [];
+    for (let k = 0; k <= n; k++) pts.push(interpolateGreatCircle(lat1, lon1, lat2, lon2, k / n));
+    const lons = unwrapLongitudes(pts.map(pt => pt.lon));
+    return pts.map((pt, k) => ({ lat: pt.lat, lon: lons[k] }));
+}
+
+// Interpolate between two headings along the shortest turn (degrees, 0..360)
+function lerpAngleDeg(a, b, t) {
+    const d = ((b - a + 540) % 360) - 180;
+    return (a + d * t + 360) % 360;
+}
+
+// ---- Units ----
+// Rows keep feet, knots, ft/min and nautical miles; these helpers convert for display only.
+// One preference per quantity (Units section of the right card), remembered in localStorage.
+//   factor    display value = stored value × factor
+//   digits    decimals shown
+//   gridStep  metric chart grid spacing in the display unit
+const UNITS = {
+    altitude: {
+        ft:  { label: 'ft',     factor: 1,        gridStep: 10000 },
+        m:   { label: 'm',      factor: 0.3048,   gridStep: 3000 }
+    },
+    speed: {
+        kt:  { label: 'kt',     factor: 1,        gridStep: 100 },
+        kmh: { label: 'km/h',   factor: 1.852,    gridStep: 200 },
+        mph: { label: 'mph',    factor: 1.150779, gridStep: 100 }
+    },
+    verticalRate: {
+        fpm: { label: 'ft/min', factor: 1,        gridStep: 2000 },
+        ms:  { label: 'm/s',    factor: 0.00508,  gridStep: 10, digits: 1 }
+    },
+    distance: {
+        nm:  { label: 'NM',     factor: 1 },
+        km:  { label: 'km',     factor: 1.852 }
+    }
+};
+const UNITS_STORAGE_KEY = 'skyTrail.units';
+let unitPrefs = { altitude: 'ft', speed: 'kt', verticalRate: 'fpm', distance: 'nm' };
+
+function unitOf(quantity) {
+    return UNITS[quantity][unitPrefs[quantity]];
+}
+
+// Stored value → preferred unit
+function toUnit(quantity, v) {
+    return v * unitOf(quantity).factor;
+}
+
+// Grouped digits in the browser's locale; never "-0"
+function formatNumber(v, digits = 0) {
+    const x = Number(v.toFixed(digits)) || 0;
+    return x.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+// Value already in the preferred unit, e.g. "11 278 m" or "+2 400 ft/min"
+function formatInUnit(quantity, x, signed = false) {
+    if (!Number.isFinite(x)) return '—';
+    const u = unitOf(quantity);
+    const text = `${formatNumber(x, u.digits || 0)} ${u.label}`;
+    return signed && Number(x.toFixed(u.digits || 0)) > 0 ? '+' + text : text;
+}
+
+// Stored value (ft, kt, ft/min, NM) in the preferred unit
+function formatQuantity(quantity, v, signed = false) {
+    return formatInUnit(quantity, Number.isFinite(v) ? toUnit(quantity, v) : NaN, signed);
+}
+
+// Distance given in nautical miles, in the preferred unit, e.g. "2 561 NM" or "4 743 km"
+function formatNm(nm) {
+    return formatQuantity('distance', nm);
+}
+
+// Altitude guides for the rings and the ribbon grid, up to maxFt: every 1000 ft labelled as flight
+// levels (semicircular rule), or every 500 m labelled each 1000 m when altitudes are shown in metres.
+// Returns [{ alt (ft), relevant, label }]
+function altitudeGuideLevels(maxFt) {
+    const levels = [];
+    if (unitPrefs.altitude === 'm') {
+        const stepM = 500;
+        const maxM = niceCeilToStep(toUnit('altitude', maxFt), stepM);
+        for (let m = 0; m <= maxM; m += stepM) {
+            levels.push({ alt: m / UNITS.altitude.m.factor, relevant: m % 1000 === 0, label: `${formatNumber(m)} m` });
+        }
+        return levels;
+    }
+    const maxAlt = niceCeilToStep(maxFt, UI.ringStep);
+    for (let alt = 0; alt <= maxAlt; alt += UI.ringStep) {
+        levels.push({ alt, relevant: isRelevantFlightLevel(alt), label: `FL${nf(Math.round(alt / 100), 3)}` });
+    }
+    return levels;
+}
+
+function loadUnitPrefs() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(UNITS_STORAGE_KEY) || 'null');
+    } catch (err) { /* ignore malformed entries */ }
+    if (!saved) return;
+    for (const quantity of Object.keys(UNITS)) {
+        if (UNITS[quantity][saved[quantity]]) unitPrefs[quantity] = saved[quantity];
+    }
+}
+
+// Switch units: info cards, legend, rings, charts and exports follow; the choice is kept in localStorage
+function applyUnitPrefs(prefs) {
+    unitPrefs = prefs;
+    try {
+        localStorage.setItem(UNITS_STORAGE_KEY, JSON.stringify(prefs));
+    } catch (err) { /* storage unavailable: keep the choice for this session only */ }
+    populateUnitSelects();
+    updateTrailLegend();
+    populateSpeedBandEditor(); // breaks are edited in the preferred speed unit
+    if (!rows.length) return;
+    applySelectedLeg();
+    // Metric guide levels can change the ribbon's altitude scale: redraw the trail with the grid
+    rosetteStaticDirty = true;
+    rosetteTrailDirty = true;
+    rebuildMetricCharts();
+}
+
+// Fill the unit selects once and keep them in sync with unitPrefs
+function populateUnitSelects() {
+    for (const [quantity, select] of Object.entries(dom.unitSelects || {})) {
+        if (!select) continue;
+        if (!select.options.length) {
+            select.innerHTML = Object.entries(UNITS[quantity]).map(([id, u]) => `<option value="${id}">${u.label}</option>`).join('');
+        }
+        select.value = unitPrefs[quantity];
+    }
+}
+
+// Compact duration, e.g. "8m 28s" or "2h 05m"
+function formatDuration(ms) {
+    if (!Number.isFinite(ms) || ms < 0) return '—';
+    const sec = Math.round(ms / 1000);
+    const h = Math.floor(sec / 3600);
+    const m = Math.floor((sec % 3600) / 60);
+    const s = sec % 60;
+    if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+    return `${m}m ${String(s).padStart(2, '0')}s`;
+}
+
+// =============================== [7] EXPORT =========================================
+
+// Base file name for exports, e.g. "EK93_rosette"
+function exportBaseName(suffix) {
+    const cs = (currentFlight && currentFlight.callsign) ? String(currentFlight.callsign) : 'flight';
+    return `${cs.replace(/[^\w-]+/g, '_')}_${suffix}`;
+}
+
+// Trigger a browser download for a Blob
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ---- Video / GIF recording ----
+// The cursor sweeps the view range once over `durationS` seconds of output. Every frame the rosette
+// (optionally with the minimap, speed chart and a point-details block) is composited into an
+// off-screen canvas, which feeds a MediaRecorder (WebM) or the in-browser GIF encoder below.
+let recording = null; // active capture, see startRecording()
+
+function canRecordWebm() {
+    return typeof MediaRecorder !== 'undefined' && typeof HTMLCanvasElement !== 'undefined' && !!HTMLCanvasElement.prototype.captureStream;
+}
+
+// opts: { format: 'webm' | 'gif', durationS, fps, height (px), panels (bool) }
+function startRecording(opts) {
+    if (!rows.length || recording) return false;
+    stopPlayback();
+    const h = Math.round(opts.height / 2) * 2; // even sizes keep video encoders happy
+    const w = opts.panels ? Math.round(h * 16 / 9 / 2) * 2 : h;
+    const canvas = document.createElement('canvas');
+    canvas.width = w;
+    canvas.height = h;
+
+    recording = {
+        ...opts,
+        canvas,
+        ctx: canvas.getContext('2d', { willReadFrequently: opts.format === 'gif' }),
+        frame: 0,
+        totalFrames: Math.max(2, Math.round(opts.durationS * opts.fps)),
+        prevIdx: selectedIdx,
+        prevFollow: cursorFollowMouse
+    };
+
+    if (opts.format === 'webm') {
+        const stream = canvas.captureStream(0); // frames are pushed with requestFrame()
+        recording.track = stream.getVideoTracks()[0];
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(t => MediaRecorder.isTypeSupported(t));
+        // The only dataavailable event fires after stop(), once `recording` is already null: keep a local reference
+        const chunks = recording.chunks = [];
+        recording.recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8e6 });
+        recording.recorder.ondataavailable = (e) => { if (e.data && e.data.size) chunks.push(e.data); };
+        recording.recorder.start();
+    } else {
+        recording.gif = createGifEncoder(w, h, 1000 / opts.fps);
+    }
+
+    setCursorFollow(false);
+    frameRate(opts.fps); // WebM frames are timestamped in real time, so draw at the output rate
+    return true;
+}
+
+// Row shown in the current recording frame
+function recordingFrameIndex() {
+    const t = recording.frame / (recording.totalFrames - 1);
+    const ms = viewRange.startMs + t * (viewRange.endMs - viewRange.startMs);
+    return constrain(indexAtTime(ms), viewRange.i0, viewRange.i1);
+}
+
+// Called from drawRosette() after the frame has been rendered
+function captureRecordingFrame(pts, center) {
+    const rec = recording;
+    composeRecordingFrame(rec.ctx, rec.canvas.width, rec.canvas.height, rec.panels, pts, center);
+    if (rec.track) {
+        if (rec.track.requestFrame) rec.track.requestFrame();
+    } else {
+        rec.gif.addFrame(rec.ctx.getImageData(0, 0, rec.canvas.width, rec.canvas.height).data);
+    }
+    rec.frame++;
+    updateRecordingProgress();
+    if (rec.frame >= rec.totalFrames) finishRecording(true);
+}
+
+// Draw one output frame: rosette crop on the left (or alone), panels on the right
+function composeRecordingFrame(ctx, w, h, panels, pts, center) {
+    ctx.fillStyle = 'rgb(20, 20, 20)'; // rosette background, HSB(0, 0, 8)
+    ctx.fillRect(0, 0, w, h);
+
+    // Rosette: square crop around its centre, scaled to the output height
+    const src = drawingContext.canvas;
+    const d = src.width / width; // canvas pixel density
+    const side = Math.min(width, height);
+    const sx = center.x - side / 2, sy = center.y - side / 2;
+    ctx.drawImage(src, sx * d, sy * d, side * d, side * d, 0, 0, h, h);
+
+    // The plane cursor is a DOM overlay, so mark the selected point on the frame itself
+    const pt = pts[selectedIdx];
+    if (pt) {
+        const k = h / side;
+        const x = (pt.x - sx) * k, y = (pt.y - sy) * k;
+        ctx.fillStyle = 'rgba(255, 255, 0, 0.3)';
+        ctx.beginPath(); ctx.arc(x, y, h * 0.018, 0, Math.PI * 2); ctx.fill();
+        ctx.fillStyle = 'rgba(255, 255, 0, 0.95)';
+        ctx.beginPath(); ctx.arc(x, y, h * 0.007, 0, Math.PI * 2); ctx.fill();
+    }
+    if (!panels) return;
+
+    // Right column: minimap, speed chart and the current point's details
+    const pad = Math.round(h * 0.04);
+    const colX = h + pad, colW = w - h - pad * 2;
+    let y = pad;
+    const mapSide = Math.min(colW, Math.round(h * 0.46));
+    if (minimap && minimap.canvas) {
+        ctx.drawImage(minimap.canvas, colX + (colW - mapSide) / 2, y, mapSide, mapSide);
+    }
+    y += mapSide + pad / 2;
+    const chartH = Math.round(h * 0.16);
+    if (speedChart && speedChart.canvas) ctx.drawImage(speedChart.canvas, colX, y, colW, chartH);
+    y += chartH + pad;
+
+    const row = rows[selectedIdx];
+    if (!row) return;
+    const fs = Math.max(10, Math.round(h * 0.028));
+    const lines = [
+        [currentFlight && currentFlight.callsign ? currentFlight.callsign : '', ''],
+        ['Time', formatUTC(row.timestampMs).replace('<br>', ' ')],
+        ['Altitude', formatQuantity('altitude', row.alt)],
+        ['Ground Speed', formatQuantity('speed', row.spd)],
+        ['Heading', Number.isFinite(row.hdg) ? `${Math.round(row.hdg)}°` : '—'],
+        ['Phase', FLIGHT_PHASES[row.phase] ? FLIGHT_PHASES[row.phase].label : '—']
+    ];
+    ctx.textBaseline = 'top';
+    for (const [k, v] of lines) {
+        if (y + fs > h - pad / 2) break;
+        ctx.font = `${k && !v ? 600 : 400} ${fs}px system-ui, sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.fillStyle = v ? 'rgba(255, 255, 255, 0.6)' : '#fff';
+        ctx.fillText(k, colX, y);
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#fff';
+        ctx.fillText(v, colX + colW, y);
+        y += Math.round(fs * 1.6);
+    }
+}
+
+// Stop capturing; download the result unless cancelled
+function finishRecording(save) {
+    const rec = recording;
+    if (!rec) return;
+    recording = null;
+    frameRate(60);
+    selectedIdx = constrain(rec.prevIdx, viewRange.i0, viewRange.i1);
+    setCursorFollow(rec.prevFollow);
+
+    if (rec.recorder) {
+        rec.recorder.onstop = () => {
+            if (save) downloadBlob(new Blob(rec.chunks, { type: 'video/webm' }), exportBaseName('rosette') + '.webm');
+        };
+        rec.recorder.stop();
+        rec.track.stop();
+    } else if (save) {
+        downloadBlob(rec.gif.finish(), exportBaseName('rosette') + '.gif');
+    }
+    updateRecordingProgress(save ? 'Saved.' : 'Cancelled.');
+}
+
+// Progress line in the export dialog
+function updateRecordingProgress(message) {
+    if (!dom.exportProgress) return;
+    if (recording) {
+        dom.exportProgress.textContent = `Recording… ${Math.round(100 * recording.frame / recording.totalFrames)}%`;
+    } else {
+        dom.exportProgress.textContent = message || '';
+    }
+    if (dom.exportStart) dom.exportStart.disabled = !!recording;
+}
+
+// Export dialog: format, duration, frame rate, resolution and whether to include the panels
+function openExportVideoDialog() {
+    const dlg = dom.exportDialog;
+    if (!dlg || !rows.length) return;
+    const webmOption = dlg.querySelector('#export-format option[value="webm"]');
+    if (webmOption) webmOption.disabled = !canRecordWebm();
+    if (!canRecordWebm()) dom.exportFormat.value = 'gif';
+    updateRecordingProgress('');
+
+    dom.exportStart.onclick = (ev) => {
+        ev.preventDefault();
+        const format = dom.exportFormat.value;
+        startRecording({
+            format,
+            durationS: constrain(Number(dom.exportDuration.value) || 10, 1, 120),
+            // GIF frame delays are in 1/100 s and large GIFs get heavy quickly, so cap its rate
+            fps: constrain(Number(dom.exportFps.value) || 30, 1, format === 'gif' ? 25 : 60),
+            height: Number(dom.exportResolution.value) || 720,
+            panels: dom.exportPanels.checked
+        });
+        updateRecordingProgress();
+    };
+    dom.exportCancel.onclick = (ev) => {
+        ev.preventDefault();
+        if (recording) finishRecording(false);
+        else dlg.close();
+    };
+    dlg.onclose = () => { if (recording) finishRecording(false); }; // Esc key
+    dlg.showModal();
+}
+
+// ---- Minimal GIF89a encoder ----
+// Fixed 6×7×6 colour cube palette (no per-frame quantisation), LZW-compressed frames, looping forever.
+// Frames are compressed as they arrive so only the encoded bytes are kept in memory.
+const GIF_PALETTE = (() => {
+    const pal = new Uint8Array(256 * 3);
+    let n = 0;
+    for (let r = 0; r < 6; r++) {
+        for (let g = 0; g < 7; g++) {
+            for (let b = 0; b < 6; b++) {
+                pal[n++] = Math.round(r * 255 / 5);
+                pal[n++] = Math.round(g * 255 / 6);
+                pal[n++] = Math.round(b * 255 / 5);
+            }
+        }
+    }
+    return pal; // entries 252..255 stay black
+})();
+
+function createGifEncoder(w, h, delayMs) {
+    const parts = [];
+    const bytes = (...b) => parts.push(Uint8Array.from(b));
+    const word = (v) => [v & 0xff, (v >> 8) & 0xff];
+    const delayCs = Math.max(2, Math.round(delayMs / 10));
+
+    // Header, logical screen (global 256-colour table), palette, NETSCAPE2.0 infinite loop
+    parts.push(Uint8Array.from('GIF89a', ch => ch.charCodeAt(0)));
+    bytes(...word(w), ...word(h), 0xf7, 0, 0);
+    parts.push(GIF_PALETTE);
+    bytes(0x21, 0xff, 0x0b, ...Array.from('NETSCAPE2.0', ch => ch.charCodeAt(0)), 0x03, 0x01, 0, 0, 0);
+
+    return {
+        // rgba: Uint8ClampedArray of w*h*4
+        addFrame(rgba) {
+            const idx = new Uint8Array(w * h);
+            for (let i = 0, p = 0; i < idx.length; i++, p += 4) {
+                idx[i] = Math.round(rgba[p] * 5 / 255) * 42 + Math.round(rgba[p + 1] * 6 / 255) * 6 + Math.round(rgba[p + 2] * 5 / 255);
+            }
+            bytes(0x21, 0xf9, 0x04, 0x04, ...word(delayCs), 0, 0); // graphic control: no disposal, delay
+            bytes(0x2c, 0, 0, 0, 0, ...word(w), ...word(h), 0);    // image descriptor, full frame, global palette
+            parts.push(gifLzwEncode(idx, 8));
+        },
+        finish() {
+            bytes(0x3b);
+            return new Blob(parts, { type: 'image/gif' });
+        }
+    };
+}
+
+// LZW-compress palette indices into GIF image data (min code size + 255-byte sub-blocks + terminator)
+function gifLzwEncode(indices, minCodeSize) {
+    const clear = 1 << minCodeSize, eoi = clear + 1;
+    const out = [minCodeSize];
+    let block = [], cur = 0, curBits = 0;
+    let codeSize = minCodeSize + 1, next = eoi + 1;
+    let dict = new Map();
+
+    const emit = (code) => {
+        cur |= code << curBits;
+        curBits += codeSize;
+        while (curBits >= 8) {
+            block.push(cur & 0xff);
+            cur >>= 8;
+            curBits -= 8;
+            if (block.length === 255) { out.push(255, ...block); block = []; }
+        }
+    };
+
+    emit(clear);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = prefix * 256 + k;
+        const hit = dict.get(key);
+        if (hit !== undefined) { prefix = hit; continue; }
+        emit(prefix);
+        if (next < 4096) {
+            dict.set(key, next++);
+            if (next > (1 << codeSize) && codeSize < 12) codeSize++;
+        } else {
+            // Table full: start over
+            emit(clear);
+            dict = new Map();
+            codeSize = minCodeSize + 1;
+            next = eoi + 1;
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(eoi);
+    if (curBits > 0) block.push(cur & 0xff);
+    if (block.length) out.push(block.length, ...block);
+    out.push(0);
+    return Uint8Array.from(out);
+}
+
+// ---- Vector export (SVG / PDF) ----
+// The rosette drawers (drawRosetteStatic, drawRosetteTrail) only use a small part of the p5 API, so
+// they can draw into a recorder that implements that part and keeps vector primitives instead of
+// pixels. The resulting scene is serialised to SVG or to a single-page PDF (Helvetica, no embedding).
+//   scene = { width, height, background: {r,g,b,a}, items: [...] }
+//   item  = { type: 'path', pts: [[x,y]...], closed, stroke, fill, width, dash, cap }
+//         | { type: 'text', x, y, text, size, fill, angle, align: 'left'|'center'|'right' }  (x, y on the baseline)
+
+// Helvetica advance widths (1/1000 em) for ASCII 32..126, shared by layout, SVG and PDF
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+function helveticaTextWidth(str, size) {
+    let w = 0;
+    for (const ch of String(str)) {
+        const c = ch.charCodeAt(0);
+        w += (c >= 32 && c <= 126) ? HELVETICA_WIDTHS[c - 32] : 556; // non-ASCII: average digit width
+    }
+    return w * size / 1000;
+}
+
+// Record p5 drawing calls as vector primitives (the subset used by the rosette drawers)
+function createVectorRecorder(w, h) {
+    const scene = { width: w, height: h, background: { r: 20, g: 20, b: 20, a: 1 }, items: [] }; // HSB(0, 0, 8)
+    let st = {
+        m: [1, 0, 0, 1, 0, 0],              // affine transform [a, b, c, d, e, f]
+        mode: HSB, max: [360, 100, 100, 100],
+        stroke: { r: 0, g: 0, b: 0, a: 1 }, fill: { r: 255, g: 255, b: 255, a: 1 },
+        weight: 1, cap: 'round', dash: [],
+        textSize: 12, alignX: LEFT, alignY: 'alphabetic'
+    };
+    const stack = [];
+    let shape = null;
+
+    const toRgb = (args) => {
+        const [v0, v1 = v0, v2 = v0, v3] = args.length >= 3 ? args : [args[0], args[0], args[0], args[1]];
+        const a = v3 === undefined ? 1 : v3 / st.max[3];
+        if (st.mode === RGB) return { r: v0 * 255 / st.max[0], g: v1 * 255 / st.max[1], b: v2 * 255 / st.max[2], a };
+        // HSB → RGB
+        const hh = ((v0 / st.max[0]) * 6) % 6, s = v1 / st.max[1], v = v2 / st.max[2];
+        const f = hh - Math.floor(hh), pp = v * (1 - s), q = v * (1 - s * f), t = v * (1 - s * (1 - f));
+        const [r, g, b] = [[v, t, pp], [q, v, pp], [pp, v, t], [pp, q, v], [t, pp, v], [v, pp, q]][Math.floor(hh)];
+        return { r: r * 255, g: g * 255, b: b * 255, a };
+    };
+    const tx = (x, y) => [st.m[0] * x + st.m[2] * y + st.m[4], st.m[1] * x + st.m[3] * y + st.m[5]];
+    const scale = () => Math.sqrt(Math.abs(st.m[0] * st.m[3] - st.m[1] * st.m[2]));
+    const addPath = (pts, closed) => {
+        if (!st.stroke && !st.fill) return;
+        const item = {
+            type: 'path', pts: pts.map(([x, y]) => tx(x, y)), closed,
+            stroke: st.stroke, fill: closed ? st.fill : null,
+            width: Math.round(st.weight * scale() * 20) / 20, dash: st.dash.slice(), cap: st.cap
+        };
+        // Merge a line that continues the previous open path with the same style (the trail is drawn in short pieces)
+        const prev = scene.items[scene.items.length - 1];
+        if (!closed && prev && prev.type === 'path' && !prev.closed && !prev.fill && pts.length === 2 &&
+            prev.width === item.width && prev.cap === item.cap && prev.dash.join() === item.dash.join() &&
+            sameColor(prev.stroke, item.stroke)) {
+            const [lx, ly] = prev.pts[prev.pts.length - 1];
+            if (Math.abs(lx - item.pts[0][0]) < 1e-6 && Math.abs(ly - item.pts[0][1]) < 1e-6) {
+                prev.pts.push(item.pts[1]);
+                return;
+            }
+        }
+        scene.items.push(item);
+    };
+    const sameColor = (a, b) => !!a && !!b && a.r === b.r && a.g === b.g && a.b === b.b && a.a === b.a;
+    const ellipsePts = (cx, cy, rx, ry, a0 = 0, a1 = Math.PI * 2) => {
+        const n = Math.max(8, Math.ceil(Math.abs(a1 - a0) / (Math.PI * 2) * 96));
+        const pts = [];
+        for (let k = 0; k <= n; k++) {
+            const a = a0 + (a1 - a0) * k / n;
+            pts.push([cx + Math.cos(a) * rx, cy + Math.sin(a) * ry]);
+        }
+        return pts;
+    };
+
+    const rec = {
+        scene,
+        width: w,
+        height: h,
+        drawingContext: { setLineDash(d) { st.dash = (d || []).slice(); } },
+        push() { stack.push({ ...st, m: st.m.slice(), dash: st.dash.slice() }); },
+        pop() { if (stack.length) st = stack.pop(); },
+        translate(x, y) { st.m = [st.m[0], st.m[1], st.m[2], st.m[3], st.m[0] * x + st.m[2] * y + st.m[4], st.m[1] * x + st.m[3] * y + st.m[5]]; },
+        rotate(a) {
+            const c = Math.cos(a), s = Math.sin(a), [m0, m1, m2, m3, m4, m5] = st.m;
+            st.m = [m0 * c + m2 * s, m1 * c + m3 * s, -m0 * s + m2 * c, -m1 * s + m3 * c, m4, m5];
+        },
+        colorMode(mode, ...max) {
+            st.mode = mode;
+            if (max.length === 1) st.max = [max[0], max[0], max[0], max[0]];
+            else if (max.length >= 3) st.max = [max[0], max[1], max[2], max[3] === undefined ? st.max[3] : max[3]];
+            else st.max = mode === RGB ? [255, 255, 255, 255] : [360, 100, 100, 1];
+        },
+        clear() { scene.items.length = 0; },
+        stroke(...args) { st.stroke = toRgb(args); },
+        fill(...args) { st.fill = toRgb(args); },
+        noStroke() { st.stroke = null; },
+        noFill() { st.fill = null; },
+        strokeWeight(wt) { st.weight = wt; },
+        strokeCap(cap) { st.cap = cap === SQUARE ? 'butt' : cap === PROJECT ? 'square' : 'round'; },
+        textSize(sz) { st.textSize = sz; },
+        textAlign(ax, ay) { st.alignX = ax; if (ay !== undefined) st.alignY = ay; },
+        textWidth(str) { return helveticaTextWidth(str, st.textSize); },
+        line(x0, y0, x1, y1) { if (st.stroke) addPath([[x0, y0], [x1, y1]], false); },
+        circle(x, y, d) { addPath(ellipsePts(x, y, d / 2, d / 2), true); },
+        ellipse(x, y, w2, h2 = w2) { addPath(ellipsePts(x, y, w2 / 2, h2 / 2), true); },
+        arc(x, y, w2, h2, a0, a1) {
+            const fill = st.fill;
+            st.fill = null; // open arc: stroke only
+            addPath(ellipsePts(x, y, w2 / 2, h2 / 2, a0, a1), false);
+            st.fill = fill;
+        },
+        beginShape() { shape = []; },
+        vertex(x, y) { if (shape) shape.push([x, y]); },
+        endShape(mode) {
+            if (shape && shape.length >= 2) addPath(shape, mode === CLOSE);
+            shape = null;
+        },
+        text(str, x, y) {
+            if (!st.fill) return;
+            const size = st.textSize;
+            // Baseline offset for p5's vertical alignment (Helvetica ascent ≈ 0.72 em, descent ≈ 0.21 em)
+            const dy = st.alignY === CENTER ? size * 0.35 : st.alignY === BOTTOM ? -size * 0.21 : st.alignY === TOP ? size * 0.72 : 0;
+            const [px, py] = tx(x, y + dy);
+            scene.items.push({
+                type: 'text', x: px, y: py, text: String(str), size: size * scale(), fill: st.fill,
+                angle: Math.atan2(st.m[1], st.m[0]),
+                align: st.alignX === CENTER ? 'center' : st.alignX === RIGHT ? 'right' : 'left'
+            });
+        }
+    };
+    return rec;
+}
+
+// Record the rosette (static layer + trail) at w×h into a vector scene
+function buildRosetteScene(w, h) {
+    const geom = buildRosettePoints(w, h);
+    const rec = createVectorRecorder(w, h);
+    drawRosetteStatic(rec, geom);
+    rec.push();
+    drawRosetteTrail(rec, geom);
+    rec.pop();
+    return rec.scene;
+}
+
+function sceneToSVG(scene) {
+    const n = (v) => Math.round(v * 100) / 100;
+    const rgb = (c) => `rgb(${Math.round(c.r)},${Math.round(c.g)},${Math.round(c.b)})`;
+    const esc = (s) => s.replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+    const out = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${scene.width}" height="${scene.height}" viewBox="0 0 ${scene.width} ${scene.height}">`,
+        `<rect width="100%" height="100%" fill="${rgb(scene.background)}"/>`
+    ];
+    for (const it of scene.items) {
+        if (it.type === 'path') {
+            const d = 'M' + it.pts.map(([x, y]) => `${n(x)} ${n(y)}`).join('L') + (it.closed ? 'Z' : '');
+            const attrs = [`d="${d}"`];
+            attrs.push(it.fill ? `fill="${rgb(it.fill)}"` + (it.fill.a < 1 ? ` fill-opacity="${n(it.fill.a)}"` : '') : 'fill="none"');
+            if (it.stroke) {
+                attrs.push(`stroke="${rgb(it.stroke)}"`, `stroke-width="${it.width}"`, `stroke-linecap="${it.cap}"`, 'stroke-linejoin="round"');
+                if (it.stroke.a < 1) attrs.push(`stroke-opacity="${n(it.stroke.a)}"`);
+                if (it.dash.length) attrs.push(`stroke-dasharray="${it.dash.join(' ')}"`);
+            }
+            out.push(`<path ${attrs.join(' ')}/>`);
+        } else if (it.type === 'text') {
+            const anchor = it.align === 'center' ? 'middle' : it.align === 'right' ? 'end' : 'start';
+            const rot = Math.abs(it.angle) > 1e-6 ? ` transform="rotate(${n(it.angle * 180 / Math.PI)} ${n(it.x)} ${n(it.y)})"` : '';
+            out.push(`<text x="${n(it.x)}" y="${n(it.y)}" font-family="Helvetica, Arial, sans-serif" font-size="${n(it.size)}" text-anchor="${anchor}" fill="${rgb(it.fill)}"` +
+                (it.fill.a < 1 ? ` fill-opacity="${n(it.fill.a)}"` : '') + `${rot}>${esc(it.text)}</text>`);
+        }
+    }
+    out.push('</svg>');
+    return out.join('\n');
+}
+
+// Single-page PDF 1.4: page size = scene size in points, Helvetica (WinAnsi), opacity through ExtGState
+function sceneToPDF(scene) {
+    const H = scene.height;
+    const n = (v) => (Math.round(v * 100) / 100).toString();
+    const col = (c) => `${n(c.r / 255)} ${n(c.g / 255)} ${n(c.b / 255)}`;
+    const alphas = new Map(); // "stroke|fill" alpha pair → ExtGState name
+    const gs = (sa, fa) => {
+        const key = `${n(sa)}|${n(fa)}`;
+        if (!alphas.has(key)) alphas.set(key, `GS${alphas.size}`);
+        return `/${alphas.get(key)} gs`;
+    };
+    // WinAnsi-safe string literal (characters outside Latin-1 are approximated)
+    const pdfStr = (s) => '(' + Array.from(s, ch => {
+        const subst = { '←': '<', '→': '>', '—': '-', '–': '-', '↑': '^', '↓': 'v' }[ch];
+        const c = subst || (ch.charCodeAt(0) <= 255 ? ch : '?');
+        return c.replace(/[\\()]/g, m => '\\' + m);
+    }).join('') + ')';
+
+    const ops = [];
+    ops.push(`${col(scene.background)} rg 0 0 ${n(scene.width)} ${n(H)} re f`);
+    for (const it of scene.items) {
+        if (it.type === 'path') {
+            const p0 = it.pts[0];
+            const path = [`${n(p0[0])} ${n(H - p0[1])} m`]
+                .concat(it.pts.slice(1).map(([x, y]) => `${n(x)} ${n(H - y)} l`));
+            if (it.closed) path.push('h');
+            const paint = it.fill && it.stroke ? 'B' : it.fill ? 'f' : 'S';
+            ops.push('q',
+                gs(it.stroke ? it.stroke.a : 1, it.fill ? it.fill.a : 1),
+                it.stroke ? `${col(it.stroke)} RG ${n(it.width)} w ${it.cap === 'butt' ? 0 : it.cap === 'square' ? 2 : 1} J 1 j [${it.dash.join(' ')}] 0 d` : '',
+                it.fill ? `${col(it.fill)} rg` : '',
+                path.join(' '), paint, 'Q');
+        } else if (it.type === 'text') {
+            const w = helveticaTextWidth(it.text, it.size);
+            const shift = it.align === 'center' ? -w / 2 : it.align === 'right' ? -w : 0;
+            // Screen angles turn clockwise (y down); PDF turns counter-clockwise (y up)
+            const c = Math.cos(-it.angle), s = Math.sin(-it.angle);
+            const x = it.x + shift * Math.cos(it.angle), y = H - (it.y + shift * Math.sin(it.angle));
+            ops.push('q', gs(1, it.fill.a), `${col(it.fill)} rg`,
+                `BT /F1 ${n(it.size)} Tf ${n(c)} ${n(s)} ${n(-s)} ${n(c)} ${n(x)} ${n(y)} Tm ${pdfStr(it.text)} Tj ET`, 'Q');
+        }
+    }
+    const content = ops.filter(Boolean).join('\n');
+
+    const gsDict = Array.from(alphas, ([key, name]) => {
+        const [sa, fa] = key.split('|');
+        return `/${name} << /Type /ExtGState /CA ${sa} /ca ${fa} >>`;
+    }).join(' ');
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${n(scene.width)} ${n(H)}] /Contents 4 0 R ` +
+            `/Resources << /Font << /F1 5 0 R >> /ExtGState << ${gsDict} >> >> >>`,
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+    ];
+    // Content is ASCII/Latin-1 only, so string length = byte length for the xref offsets
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((body, i) => {
+        offsets.push(pdf.length);
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+        offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('') +
+        `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Uint8Array.from(pdf, ch => ch.charCodeAt(0) & 0xff);
+}
+
+// Export the rosette as it is framed on screen (square around the rosette) in vector form
+function exportRosetteVector(format) {
+    if (!rows.length) return;
+    const side = Math.round(Math.min(width, height));
+    const scene = buildRosetteScene(side, side);
+    if (format === 'pdf') {
+        downloadBlob(new Blob([sceneToPDF(scene)], { type: 'application/pdf' }), exportBaseName('rosette') + '.pdf');
+    } else {
+        downloadBlob(new Blob([sceneToSVG(scene)], { type: 'image/svg+xml' }), exportBaseName('rosette') + '.svg');
+    }
+}
+
+// ---- Poster (PNG) ----
+// Renders the rosette off-screen at print size, independently of the window: the layout is built in
+// a 1000-unit-wide (short side) logical space and scaled up, so strokes and labels keep their on-screen
+// proportions. Title block on top, rosette in the middle (with an optional minimap inset), speed legend below.
+const POSTER_SIZES = {
+    a3: { w: 3508, h: 4961 }, // 297 × 420 mm @ 300 dpi
+    a2: { w: 4961, h: 7016 }  // 420 × 594 mm @ 300 dpi
+};
+const POSTER_UNITS = 1000; // logical width of the short side
+const POSTER_MARGIN = 60;
+
+// opts: { width, height (px), minimap (bool) } → p5.Graphics (caller removes it)
+function renderPoster(opts) {
+    const g = createGraphics(opts.width, opts.height);
+    g.pixelDensity(1);
+    const k = Math.min(opts.width, opts.height) / POSTER_UNITS;
+    const W = opts.width / k, H = opts.height / k, M = POSTER_MARGIN;
+    g.background(20); // rosette background, HSB(0, 0, 8)
+    g.push();
+    g.scale(k);
+
+    const titleH = drawPosterTitle(g, M, M, W - M * 2);
+    const legendH = 70;
+    const top = M + titleH + 20, bottom = H - M - legendH - 20;
+
+    // Rosette, square and centred in the remaining area
+    const side = Math.max(100, Math.min(W - M * 2, bottom - top));
+    const ox = (W - side) / 2, oy = top + (bottom - top - side) / 2;
+    const geom = buildRosettePoints(side, side);
+    g.push();
+    g.translate(ox, oy);
+    g.colorMode(HSB, 360, 100, 100, 100);
+    drawRosetteStatic(g, geom);
+    drawRosetteTrail(g, geom);
+    g.pop();
+
+    // Minimap inset in the bottom-right corner of the rosette area (clear of the ring labels)
+    if (opts.minimap) {
+        const s = Math.round(side * 0.2);
+        drawPosterMinimap(g, W - M - s, bottom - s, s, s);
+    }
+    drawPosterLegend(g, M, H - M - legendH, W - M * 2, legendH);
+    g.pop();
+    return g;
+}
+
+// Callsign, date, route and headline statistics. Returns the block height.
+function drawPosterTitle(g, x, y, w) {
+    const s = legSummary();
+    const first = rows[viewRange.i0], last = rows[viewRange.i1];
+    const pos = (r) => {
+        if (!r || !Number.isFinite(r.lat) || !Number.isFinite(r.lon)) return '—';
+        return `${Math.abs(r.lat).toFixed(2)}° ${r.lat >= 0 ? 'N' : 'S'} ${Math.abs(r.lon).toFixed(2)}° ${r.lon >= 0 ? 'E' : 'W'}`;
+    };
+
+    g.push();
+    g.noStroke();
+    g.fill(255);
+    g.textAlign(LEFT, TOP);
+    g.textStyle(BOLD);
+    g.textSize(56);
+    g.text(currentFlight && currentFlight.callsign ? currentFlight.callsign : 'Flight', x, y);
+    g.textStyle(NORMAL);
+    g.textSize(20);
+    g.fill(255, 170);
+    // Airport codes when the window reaches the end of the leg, coordinates otherwise
+    const from = (s.leg.origin && inViewRange(s.leg.i0)) ? airportCode(s.leg.origin) : pos(first);
+    const to   = (s.leg.destination && inViewRange(s.leg.i1)) ? airportCode(s.leg.destination) : pos(last);
+    const date = first ? formatUTC(first.timestampMs).split('<br>')[0] : '';
+    g.text(`${date}   ·   ${from}  →  ${to}`, x, y + 68);
+
+    const stats = [
+        ['Flight time', Number.isFinite(s.flightMs) ? formatHMS(s.flightMs) : '—'],
+        ['Distance', formatNm(distanceFlownNm(s.iStart, s.iEnd))],
+        ['Max speed', formatQuantity('speed', s.maxKt)],
+        ['Avg speed', formatQuantity('speed', s.avgKt)]
+    ];
+    const colW = w / stats.length;
+    stats.forEach(([k, v], i) => {
+        g.fill(255, 140);
+        g.textSize(13);
+        g.text(k.toUpperCase(), x + i * colW, y + 112);
+        g.fill(255);
+        g.textSize(28);
+        g.text(v, x + i * colW, y + 132);
+    });
+    g.pop();
+    return 170;
+}
+
+// Legend of the active colour mode (trailLegend): one swatch per speed band, or the scale with its ticks
+function drawPosterLegend(g, x, y, w, h) {
+    const legend = trailLegend();
+    g.push();
+    g.noStroke();
+    g.textAlign(LEFT, TOP);
+    g.fill(255, 140);
+    g.textSize(13);
+    g.text((legend.bands ? 'Ground speed' : trailEncoding().mode.label).toUpperCase(), x, y);
+    if (legend.bands) {
+        const itemW = w / legend.bands.length;
+        legend.bands.forEach((band, i) => {
+            const [r, gg, b] = band.color;
+            const ix = x + i * itemW;
+            g.fill(r, gg, b);
+            g.rect(ix, y + 26, itemW - 12, 12, 6);
+            g.fill(255, 200);
+            g.textSize(16);
+            g.text(speedBandLabel(band), ix, y + 46);
+        });
+    } else {
+        const steps = 120;
+        for (let k = 0; k < steps; k++) { // gradient as thin slices, 1 unit of overlap hides the seams
+            const [r, gg, b] = sampleColorStops(legend.stops, k / (steps - 1));
+            g.fill(r, gg, b);
+            g.rect(x + k * w / steps, y + 26, w / steps + 1, 12);
+        }
+        g.fill(255, 200);
+        g.textSize(16);
+        legend.ticks.forEach((text, k) => {
+            g.textAlign(k === 0 ? LEFT : k === legend.ticks.length - 1 ? RIGHT : CENTER, TOP);
+            g.text(text, x + w * k / (legend.ticks.length - 1), y + 46);
+        });
+    }
+    g.pop();
+}
+
+// Track over the basemap, fitted to the brushed window and coloured like the trail
+function drawPosterMinimap(g, x, y, w, h) {
+    const track = window.skyTrailState.track;
+    const proj = createGeoProjection(track.slice(viewRange.i0, viewRange.i1 + 1), w, h, 12);
+    if (!proj) return;
+    const project = (lat, lon) => {
+        const pt = proj.project(lat, lon);
+        return { x: x + pt.x, y: y + pt.y };
+    };
+
+    g.push();
+    g.fill(20);
+    g.stroke(255, 40);
+    g.strokeWeight(1);
+    g.rect(x, y, w, h, 6);
+    g.drawingContext.save();
+    g.drawingContext.beginPath();
+    g.drawingContext.rect(x, y, w, h); // in the scaled logical space
+    g.drawingContext.clip();
+    g.noFill();
+
+    if (showBasemap && typeof WORLD_BASEMAP !== 'undefined') {
+        const worldPx = 2 * Math.PI * proj.scale;
+        for (const kind of ['coastlines', 'borders']) {
+            g.stroke(255, kind === 'coastlines' ? 60 : 28);
+            g.strokeWeight(kind === 'coastlines' ? 1 : 0.75);
+            for (const flat of WORLD_BASEMAP[kind] || []) {
+                let prev = null;
+                g.beginShape();
+                for (let i = 0; i < flat.length; i += 2) {
+                    const pt = project(flat[i + 1], flat[i]);
+                    // Break where the line jumps to the other copy of the world
+                    if (prev && Math.abs(pt.x - prev.x) > worldPx / 2) { g.endShape(); g.beginShape(); }
+                    g.vertex(pt.x, pt.y);
+                    prev = pt;
+                }
+                g.endShape();
+            }
+        }
+    }
+
+    g.strokeWeight(2);
+    const enc = trailEncoding();
+    for (let i = viewRange.i0; i < viewRange.i1; i++) {
+        const a = track[i], b = track[i + 1];
+        if (![a.lat, a.lon, b.lat, b.lon].every(Number.isFinite)) continue;
+        const pa = project(a.lat, a.lon), pb = project(b.lat, b.lon);
+        if (isGapSegment(i)) g.stroke(255, 90);
+        else {
+            const col = enc.color(encodedValueAt(enc, i));
+            g.stroke(col.r, col.g, col.b);
+        }
+        g.line(pa.x, pa.y, pb.x, pb.y);
+    }
+    g.noStroke();
+    const p0 = project(track[viewRange.i0].lat, track[viewRange.i0].lon);
+    const p1 = project(track[viewRange.i1].lat, track[viewRange.i1].lon);
+    g.fill(0, 255, 0, 220);
+    g.circle(p0.x, p0.y, 5);
+    g.fill(255, 0, 0, 220);
+    g.circle(p1.x, p1.y, 6);
+    g.drawingContext.restore();
+    g.pop();
+}
+
+// Poster dialog: paper format or custom pixel size, optional minimap inset
+function openPosterDialog() {
+    const dlg = dom.posterDialog;
+    if (!dlg || !rows.length) return;
+    const syncSize = () => {
+        const preset = POSTER_SIZES[dom.posterSize.value];
+        if (preset) {
+            dom.posterWidth.value = preset.w;
+            dom.posterHeight.value = preset.h;
+        }
+        dom.posterWidth.disabled = dom.posterHeight.disabled = !!preset;
+    };
+    dom.posterSize.onchange = syncSize;
+    syncSize();
+    dom.posterProgress.textContent = '';
+
+    dom.posterStart.onclick = (ev) => {
+        ev.preventDefault();
+        const width  = constrain(Math.round(Number(dom.posterWidth.value)  || 0), 500, 10000);
+        const height = constrain(Math.round(Number(dom.posterHeight.value) || 0), 500, 10000);
+        dom.posterProgress.textContent = 'Rendering…';
+        dom.posterStart.disabled = true;
+        // Let the dialog repaint before the (blocking) render
+        setTimeout(() => {
+            let g;
+            try {
+                g = renderPoster({ width, height, minimap: dom.posterMinimap.checked });
+            } catch (err) {
+                // e.g. the canvas could not be allocated at this size
+                dom.posterStart.disabled = false;
+                dom.posterProgress.textContent = `Could not render the poster: ${err.message}`;
+                return;
+            }
+            g.elt.toBlob((blob) => {
+                g.remove();
+                dom.posterStart.disabled = false;
+                if (!blob) {
+                    dom.posterProgress.textContent = 'The browser could not encode an image this large.';
+                    return;
+                }
+                downloadBlob(blob, exportBaseName('poster') + '.png');
+                dom.posterProgress.textContent = 'Saved.';
+            }, 'image/png');
+        }, 30);
+    };
+    dom.posterCancel.onclick = (ev) => {
+        ev.preventDefault();
+        dlg.close();
+    };
+    dlg.showModal();
+}
+
+// ---- Enriched data (CSV / JSON) ----
+// Every row of the flight (synthetic gap-fill rows included and flagged) with the values skyTrail derives
+// after parsing, plus a per-leg summary. CSV carries the summary as "# key: value" comment lines.
+// Altitude, speed, vertical rate and distance are written in the preferred units, named by their suffix
+// (alt_ft or alt_m, gs_kt / gs_kmh / gs_mph, vs_fpm or vs_ms, dist_nm or dist_km).
+function dataExportColumns() {
+    const u = unitPrefs;
+    return [
+        'index', 'utc', 'timestamp_ms', 'lat', 'lon', `alt_${u.altitude}`, `gs_${u.speed}`, 'track_deg', `vs_${u.verticalRate}`, 'fpa_deg',
+        `dist_${u.distance}`, 'leg', 'since_takeoff_s', 'phase', 'speed_band', 'event', 'synthetic', 'gap_after'
+    ];
+}
+
+// Round to `digits` decimals, null when not a finite number
+function roundOrNull(v, digits = 0) {
+    if (!Number.isFinite(v)) return null;
+    const k = Math.pow(10, digits);
+    return Math.round(v * k) / k;
+}
+
+// { summary, rows } with plain values (numbers, strings, booleans or null)
+function buildEnrichedData() {
+    const isoOrNull = (ms) => Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+    const legOf = new Int32Array(rows.length).fill(-1);
+    legs.forEach((leg, k) => { for (let i = leg.i0; i <= leg.i1; i++) legOf[i] = k; });
+    const eventAt = new Map(flightEvents.map(e => [e.idx, e.type]));
+    const u = unitPrefs;
+
+    const whole = { startMs: rows[0].timestampMs, endMs: rows[rows.length - 1].timestampMs, i0: 0, i1: rows.length - 1 };
+    const legSummaries = legs.map((leg, k) => {
+        // Window = the leg itself, so max speed is per leg rather than over the whole file
+        const s = legSummary(k, { ...whole, i0: leg.i0, i1: leg.i1 });
+        const takeoffMs = leg.takeoffIdx >= 0 ? rows[leg.takeoffIdx].timestampMs : NaN;
+        const landingMs = leg.landingIdx >= 0 ? rows[leg.landingIdx].timestampMs : NaN;
+        return {
+            leg: k + 1,
+            origin: leg.origin ? leg.origin.airport.icao : null,
+            departure_runway: leg.origin ? leg.origin.runway : null,
+            destination: leg.destination ? leg.destination.airport.icao : null,
+            arrival_runway: leg.destination ? leg.destination.runway : null,
+            takeoff_utc: isoOrNull(takeoffMs),
+            landing_utc: isoOrNull(landingMs),
+            flight_time_s: roundOrNull(s.flightMs / 1000),
+            flight_time: Number.isFinite(s.flightMs) ? formatHMS(s.flightMs) : null,
+            [`distance_${u.distance}`]: roundOrNull(toUnit('distance', distanceFlownNm(s.iStart, s.iEnd)), 1),
+            [`avg_speed_${u.speed}`]: roundOrNull(toUnit('speed', s.avgKt), 1),
+            [`max_speed_${u.speed}`]: roundOrNull(toUnit('speed', s.maxKt), 1)
+        };
+    });
+
+    const summary = {
+        callsign: (currentFlight && currentFlight.callsign) || null,
+        source: (currentFlight && currentFlight.report && currentFlight.report.source) || null,
+        start_utc: isoOrNull(whole.startMs),
+        end_utc: isoOrNull(whole.endMs),
+        rows: rows.length,
+        coverage_gaps: gaps.length,
+        gap_fill: gapFillMode,
+        legs: legSummaries
+    };
+
+    const out = rows.map((r, i) => {
+        const leg = legs[legOf[i]];
+        const takeoffMs = leg && leg.takeoffIdx >= 0 ? rows[leg.takeoffIdx].timestampMs : NaN;
+        const band = SPEED_BANDS[speedBandIndex(r.spd)];
+        return {
+            index: i,
+            utc: isoOrNull(r.timestampMs),
+            timestamp_ms: Number.isFinite(r.timestampMs) ? r.timestampMs : null,
+            lat: roundOrNull(r.lat, 6),
+            lon: roundOrNull(r.lon, 6),
+            [`alt_${u.altitude}`]: roundOrNull(toUnit('altitude', r.alt)),
+            [`gs_${u.speed}`]: roundOrNull(toUnit('speed', r.spd), 1),
+            track_deg: roundOrNull(r.hdg, 1),
+            [`vs_${u.verticalRate}`]: roundOrNull(toUnit('verticalRate', r.vs), unitOf('verticalRate').digits ? 2 : 0),
+            fpa_deg: roundOrNull(estimateFlightPathAngleDeg(i), 2),
+            [`dist_${u.distance}`]: roundOrNull(toUnit('distance', r.distNm), 3),
+            leg: leg ? legOf[i] + 1 : null,
+            since_takeoff_s: roundOrNull((r.timestampMs - takeoffMs) / 1000), // negative before takeoff
+            phase: r.phase || null,
+            speed_band: band ? speedBandLabel(band) : null,
+            event: eventAt.get(i) || null,
+            synthetic: !!r.synthetic,
+            gap_after: !!r.gapAfter
+        };
+    });
+    return { summary, rows: out };
+}
+
+function enrichedDataToCSV(data) {
+    const cell = (v) => {
+        if (v === null || v === undefined) return '';
+        const str = String(v);
+        return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const lines = [];
+    const { legs: legList, ...head } = data.summary;
+    for (const [k, v] of Object.entries(head)) lines.push(`# ${k}: ${v === null ? '' : v}`);
+    for (const leg of legList) {
+        lines.push('# ' + Object.entries(leg).map(([k, v]) => `${k}=${v === null ? '' : v}`).join(' '));
+    }
+    const columns = dataExportColumns();
+    lines.push(columns.join(','));
+    for (const r of data.rows) lines.push(columns.map(c => cell(r[c])).join(','));
+    return lines.join('\n') + '\n';
+}
+
+function exportEnrichedData(format) {
+    if (!rows.length) return;
+    const data = buildEnrichedData();
+    if (format === 'json') {
+        downloadBlob(new Blob([JSON.stringify(data, null, 1)], { type: 'application/json' }), exportBaseName('data') + '.json');
+    } else {
+        downloadBlob(new Blob([enrichedDataToCSV(data)], { type: 'text/csv' }), exportBaseName('data') + '.csv');
+    }
+}